@@ -0,0 +1,584 @@
+import { createRequire } from 'module'
+import { createHash } from 'crypto'
+import path from 'path'
+import fs from 'fs'
+import yaml from 'js-yaml'
+import lodash from 'lodash'
+import knownCssProperties from 'known-css-properties'
+import { PRESETS, PRESET_NAMES } from './presets.js' // 默认配置及预设
+import { getUnprefixedProperty } from './properties.js'
+
+const require = createRequire(import.meta.url)
+
+const DEFAULT_INDENT = 2
+
+// 未在属性顺序中的属性的位置
+export const UNSPECIFIED_OPTIONS = ['top', 'bottom', 'bottomAlphabetical', 'ignore']
+const DEFAULT_UNSPECIFIED = 'ignore'
+
+// 自定义属性（--*）在块内的位置，未配置时与其他未配置的属性相同
+export const CUSTOM_PROPERTIES_OPTIONS = ['first', 'last']
+
+// 块内各类内容的名称，用于 contentOrder
+export const CONTENT_KINDS = [
+  'custom-properties',
+  'dollar-variables',
+  'at-variables',
+  'at-extend',
+  'at-include',
+  'less-mixins',
+  'declarations',
+  'rules',
+  'at-rules',
+]
+
+// overrides 中可配置的对象：样式语言及 <style> 上的 scoped / module 属性
+export const OVERRIDE_TARGETS = ['css', 'scss', 'sass', 'less', 'stylus', 'scoped', 'module']
+
+// 同一目录内按以下顺序查找配置文件
+const CONFIG_FILE_NAMES = [
+  'css-order.config.js',
+  'css-order.config.cjs',
+  'css-order.config.mjs',
+  'css-order.config.json',
+  'css-order.config.yaml',
+  'css-order.config.yml',
+]
+const PACKAGE_JSON_KEY = 'cssOrder'
+const CONFIG_KEYS = [
+  'order',
+  'propertyGroups',
+  'preset',
+  'unspecified',
+  'customProperties',
+  'sortCustomProperties',
+  'allowFallbacks',
+  'contentOrder',
+  'indent',
+  'overrides',
+  'extends',
+  'remove',
+  'insertBefore',
+  'insertAfter',
+]
+// 决定属性顺序的配置项，被继承时合并为完整的属性顺序
+const ORDER_KEYS = ['order', 'preset', 'extends', 'remove', 'insertBefore', 'insertAfter']
+const GROUP_KEYS = ['groupName', 'properties', 'emptyLineBefore']
+
+const KNOWN_PROPERTIES = new Set(knownCssProperties.all)
+
+// 目录 -> { mtimeMs, packageJsonKey, filepath }，filepath 为目录内的配置文件（没有则为 null）
+// 目录的修改时间在新增、删除文件时变化，packageJsonKey 为 package.json 的修改时间与大小，二者变化时重新查找
+const directoryCache = new Map()
+
+// 配置文件 -> { mtimeMs, size, hash, config }
+// 编辑器中的 ESLint 进程会长期运行，文件修改后需要重新加载
+const fileCache = new Map()
+
+// 同步加载 js 配置文件，ES 模块通过 Node 的 require(esm) 加载（engines 要求的 20.19、22.12 及以上版本默认支持）
+// ES 模块无法清除缓存，修改后不会重新加载
+function loadJSModuleSync (filepath, reload) {
+  if (reload) {
+    delete require.cache[filepath]
+  }
+  try {
+    const mod = require(filepath)
+    return mod?.__esModule || mod?.[Symbol.toStringTag] === 'Module'
+      ? mod.default
+      : mod
+  } catch (e) {
+    if (e.code === 'ERR_REQUIRE_ASYNC_MODULE') {
+      throw new Error('使用了顶层 await 的 ES 模块无法同步加载，请去掉顶层 await 或改用 .cjs、.json、.yaml 配置文件')
+    }
+    // 通过 --no-experimental-require-module 等方式关闭了 require(esm)
+    if (e.code === 'ERR_REQUIRE_ESM') {
+      throw new Error('当前 Node 未启用 require(esm)，无法加载 ES 模块配置文件，请改用 .cjs、.json、.yaml 配置文件')
+    }
+    throw e
+  }
+}
+
+// 按扩展名解析配置文件内容，reload 为 true 时忽略模块缓存
+function loadConfigFile (filepath, reload) {
+  const ext = path.extname(filepath)
+  if (ext === '.js' || ext === '.cjs' || ext === '.mjs') {
+    return loadJSModuleSync(filepath, reload)
+  }
+  const content = fs.readFileSync(filepath, 'utf-8')
+  if (ext === '.yaml' || ext === '.yml') {
+    return yaml.load(content)
+  }
+  if (path.basename(filepath) === 'package.json') {
+    return JSON.parse(content)[PACKAGE_JSON_KEY]
+  }
+  return JSON.parse(content)
+}
+
+// 查找目录内的配置文件，package.json 需包含 cssOrder 字段
+function findConfigFile (directory) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const filepath = path.join(directory, name)
+    if (fs.existsSync(filepath)) {
+      return filepath
+    }
+  }
+  const packageJsonPath = path.join(directory, 'package.json')
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf-8'))
+      if (pkg[PACKAGE_JSON_KEY] != null) {
+        return packageJsonPath
+      }
+    } catch {
+      // 无法解析的 package.json 不作为配置来源
+    }
+  }
+  return null
+}
+
+// 查找目录内的配置文件，目录内容未变化时使用缓存
+// 直接修改 package.json 中的 cssOrder 字段不会改变目录的修改时间，因此同时比较 package.json 的修改时间与大小
+function findConfigFileCached (directory) {
+  const mtimeMs = fs.statSync(directory, { throwIfNoEntry: false })?.mtimeMs ?? null
+  const packageJsonStat = mtimeMs === null ? null : fs.statSync(path.join(directory, 'package.json'), { throwIfNoEntry: false })
+  const packageJsonKey = packageJsonStat ? `${packageJsonStat.mtimeMs}:${packageJsonStat.size}` : null
+  const cached = directoryCache.get(directory)
+  if (cached && cached.mtimeMs === mtimeMs && cached.packageJsonKey === packageJsonKey) {
+    return cached.filepath
+  }
+  const filepath = mtimeMs === null ? null : findConfigFile(directory)
+  directoryCache.set(directory, { mtimeMs, packageJsonKey, filepath })
+  return filepath
+}
+
+// 加载并校验配置文件，修改时间或大小变化时比较内容的哈希，内容变化才重新解析
+function loadConfigFileCached (filepath) {
+  const { mtimeMs, size } = fs.statSync(filepath)
+  const cached = fileCache.get(filepath)
+  if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+    return cached.config
+  }
+  const hash = createHash('sha1').update(fs.readFileSync(filepath)).digest('hex')
+  if (cached && cached.hash === hash) {
+    Object.assign(cached, { mtimeMs, size })
+    return cached.config
+  }
+  let content
+  try {
+    content = loadConfigFile(filepath, Boolean(cached))
+  } catch (e) {
+    throw new Error(`css-order: 无法加载配置文件 ${filepath}：${e.message}`)
+  }
+  const shapeErrors = validateConfigShape(content)
+  if (shapeErrors.length) {
+    throw new Error(`css-order: 配置文件 ${filepath} 格式错误：\n${shapeErrors.join('\n')}`)
+  }
+  const config = normalizeConfig(content, path.dirname(filepath))
+  fileCache.set(filepath, { mtimeMs, size, hash, config })
+  return config
+}
+
+// 从给定目录逐级向上查找最近的配置
+function lookupConfig (directory) {
+  const filepath = findConfigFileCached(directory)
+  if (filepath) {
+    return { filepath, config: loadConfigFileCached(filepath) }
+  }
+  const parent = path.dirname(directory)
+  return parent === directory ? null : lookupConfig(parent)
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function validateOrderShape (order, key) {
+  if (!Array.isArray(order)) {
+    return [`${key} 应为数组`]
+  }
+  const errors = []
+  order.forEach((item, index) => {
+    const itemKey = `${key}[${index}]`
+    if (typeof item === 'string') {
+      if (!item) {
+        errors.push(`${itemKey} 不能为空字符串`)
+      }
+      return
+    }
+    if (!isPlainObject(item)) {
+      errors.push(`${itemKey} 应为属性名或分组对象，实际为 ${JSON.stringify(item)}`)
+      return
+    }
+    Object.keys(item)
+      .filter((name) => !GROUP_KEYS.includes(name))
+      .forEach((name) => errors.push(`${itemKey} 包含未知字段 "${name}"`))
+    if (item.groupName != null && typeof item.groupName !== 'string') {
+      errors.push(`${itemKey}.groupName 应为字符串`)
+    }
+    if (item.emptyLineBefore != null && typeof item.emptyLineBefore !== 'boolean') {
+      errors.push(`${itemKey}.emptyLineBefore 应为布尔值`)
+    }
+    if (!Array.isArray(item.properties)) {
+      errors.push(`${itemKey}.properties 应为数组`)
+      return
+    }
+    item.properties.forEach((property, propertyIndex) => {
+      if (typeof property !== 'string' || !property) {
+        errors.push(`${itemKey}.properties[${propertyIndex}] 应为属性名，实际为 ${JSON.stringify(property)}`)
+      }
+    })
+  })
+  return errors
+}
+
+function validateOverridesShape (overrides) {
+  if (!isPlainObject(overrides)) {
+    return ['overrides 应为对象']
+  }
+  const errors = []
+  Object.keys(overrides).forEach((target) => {
+    if (!OVERRIDE_TARGETS.includes(target)) {
+      errors.push(`overrides 包含未知字段 "${target}"，应为 ${OVERRIDE_TARGETS.join(' / ')} 之一`)
+      return
+    }
+    const override = overrides[target]
+    if (isPlainObject(override) && override.overrides != null) {
+      errors.push(`overrides.${target} 不能再包含 overrides`)
+    }
+    validateConfigShape(isPlainObject(override) ? lodash.omit(override, 'overrides') : override)
+      .forEach((error) => errors.push(`overrides.${target}：${error}`))
+  })
+  return errors
+}
+
+// 校验配置文件结构，规则选项由 ESLint 按 schema 校验
+function validateConfigShape (config) {
+  if (config == null) {
+    return []
+  }
+  if (Array.isArray(config)) {
+    return validateOrderShape(config, 'order')
+  }
+  if (!isPlainObject(config)) {
+    return [`配置应为数组或对象，实际为 ${JSON.stringify(config)}`]
+  }
+  const errors = Object.keys(config)
+    .filter((key) => !CONFIG_KEYS.includes(key))
+    .map((key) => `包含未知字段 "${key}"`)
+  if (config.order != null && config.propertyGroups != null) {
+    errors.push('order 与 propertyGroups 不能同时配置')
+  }
+  for (const key of ['order', 'propertyGroups']) {
+    if (config[key] != null) {
+      errors.push(...validateOrderShape(config[key], key))
+    }
+  }
+  if (config.preset != null && !PRESET_NAMES.includes(config.preset)) {
+    errors.push(`preset 应为 ${PRESET_NAMES.join(' / ')} 之一，实际为 ${JSON.stringify(config.preset)}`)
+  }
+  if (config.extends != null) {
+    if (typeof config.extends !== 'string' || !config.extends) {
+      errors.push(`extends 应为预设名或配置文件路径，实际为 ${JSON.stringify(config.extends)}`)
+    }
+    if (config.preset != null) {
+      errors.push('preset 与 extends 不能同时配置')
+    }
+  }
+  if (config.remove != null) {
+    if (!Array.isArray(config.remove)) {
+      errors.push('remove 应为数组')
+    } else {
+      config.remove.forEach((property, index) => {
+        if (typeof property !== 'string' || !property) {
+          errors.push(`remove[${index}] 应为属性名，实际为 ${JSON.stringify(property)}`)
+        }
+      })
+    }
+  }
+  for (const key of ['insertBefore', 'insertAfter']) {
+    if (config[key] == null) {
+      continue
+    }
+    if (!isPlainObject(config[key])) {
+      errors.push(`${key} 应为对象，键为参照的属性名，值为要插入的属性名或属性名数组`)
+      continue
+    }
+    Object.entries(config[key]).forEach(([anchor, value]) => {
+      const isPropertyList = [].concat(value).every((property) => typeof property === 'string' && property)
+      if (!isPropertyList || (Array.isArray(value) && !value.length)) {
+        errors.push(`${key}.${anchor} 应为属性名或属性名数组，实际为 ${JSON.stringify(value)}`)
+      }
+    })
+  }
+  if (config.unspecified != null && !UNSPECIFIED_OPTIONS.includes(config.unspecified)) {
+    errors.push(`unspecified 应为 ${UNSPECIFIED_OPTIONS.join(' / ')} 之一，实际为 ${JSON.stringify(config.unspecified)}`)
+  }
+  if (config.customProperties != null && !CUSTOM_PROPERTIES_OPTIONS.includes(config.customProperties)) {
+    errors.push(`customProperties 应为 ${CUSTOM_PROPERTIES_OPTIONS.join(' / ')} 之一，实际为 ${JSON.stringify(config.customProperties)}`)
+  }
+  if (config.sortCustomProperties != null && typeof config.sortCustomProperties !== 'boolean') {
+    errors.push(`sortCustomProperties 应为布尔值，实际为 ${JSON.stringify(config.sortCustomProperties)}`)
+  }
+  if (config.allowFallbacks != null && typeof config.allowFallbacks !== 'boolean') {
+    errors.push(`allowFallbacks 应为布尔值，实际为 ${JSON.stringify(config.allowFallbacks)}`)
+  }
+  if (config.contentOrder != null) {
+    if (!Array.isArray(config.contentOrder)) {
+      errors.push('contentOrder 应为数组')
+    } else {
+      config.contentOrder.forEach((kind, index) => {
+        if (!CONTENT_KINDS.includes(kind)) {
+          errors.push(`contentOrder[${index}] 应为 ${CONTENT_KINDS.join(' / ')} 之一，实际为 ${JSON.stringify(kind)}`)
+        } else if (config.contentOrder.indexOf(kind) !== index) {
+          errors.push(`contentOrder[${index}] "${kind}" 重复`)
+        }
+      })
+    }
+  }
+  if (config.indent != null && !(Number.isInteger(config.indent) && config.indent >= 0)) {
+    errors.push(`indent 应为非负整数，实际为 ${JSON.stringify(config.indent)}`)
+  }
+  if (config.overrides != null) {
+    errors.push(...validateOverridesShape(config.overrides))
+  }
+  return errors
+}
+
+function isKnownProperty (property) {
+  return KNOWN_PROPERTIES.has(property) ||
+    property.startsWith('--') ||
+    KNOWN_PROPERTIES.has(getUnprefixedProperty(property))
+}
+
+/**
+ * 检查属性顺序中重复或未知的属性名
+ * @param {Array} order 属性顺序
+ * @returns {string[]} 问题描述，包含属性在配置中的位置
+ */
+export function validateOrder (order) {
+  const problems = []
+  const positions = new Map()
+  const check = (property, key) => {
+    if (positions.has(property)) {
+      problems.push(`${key} 属性 "${property}" 重复（首次出现于 ${positions.get(property)}）`)
+      return
+    }
+    positions.set(property, key)
+    if (!isKnownProperty(property)) {
+      problems.push(`${key} 未知的 css 属性 "${property}"`)
+    }
+  }
+  order.forEach((item, index) => {
+    if (typeof item === 'string') {
+      check(item, `order[${index}]`)
+    } else {
+      item.properties.forEach((property, propertyIndex) => {
+        check(property, `order[${index}].properties[${propertyIndex}]`)
+      })
+    }
+  })
+  return problems
+}
+
+// 统一配置格式：数组即为属性顺序，对象则兼容 order / propertyGroups 字段
+// extends 为文件路径时转为基于 directory 的绝对路径
+function normalizeConfig (config, directory) {
+  if (!config) {
+    return {}
+  }
+  if (Array.isArray(config)) {
+    return { order: config }
+  }
+  const { propertyGroups, overrides, ...rest } = config
+  const normalized = propertyGroups ? { ...rest, order: propertyGroups } : rest
+  if (normalized.extends != null && !PRESET_NAMES.includes(normalized.extends)) {
+    normalized.extends = path.resolve(directory, normalized.extends)
+  }
+  if (overrides) {
+    normalized.overrides = lodash.mapValues(overrides, (override) => normalizeConfig(override, directory))
+  }
+  return normalized
+}
+
+// 在预设之后追加自定义属性，预设中已有的同名属性会被移除
+function extendPreset (preset, order) {
+  const extraProperties = new Set(
+    order.flatMap((item) => typeof item === 'string' ? [item] : item.properties)
+  )
+  const isKept = (property) => !extraProperties.has(property)
+  const base = preset
+    .map((item) => typeof item === 'string'
+      ? item
+      : { ...item, properties: item.properties.filter(isKept) })
+    .filter((item) => typeof item === 'string' ? isKept(item) : item.properties.length)
+  return [...base, ...order]
+}
+
+// 依次执行 remove、insertBefore、insertAfter，插入的属性归入参照属性所在的分组
+function applyOrderOperations (order, config) {
+  const problems = []
+  let items = order.map((item) => typeof item === 'string'
+    ? item
+    : { ...item, properties: [...item.properties] })
+  const includes = (property) => items.some((item) => typeof item === 'string'
+    ? item === property
+    : item.properties.includes(property))
+  const removeProperty = (property) => {
+    items = items
+      .filter((item) => item !== property)
+      .map((item) => typeof item === 'string'
+        ? item
+        : { ...item, properties: item.properties.filter((name) => name !== property) })
+  }
+
+  ;(config.remove || []).forEach((property, index) => {
+    if (!includes(property)) {
+      problems.push(`remove[${index}] 属性 "${property}" 不在属性顺序中`)
+    }
+    removeProperty(property)
+  })
+  const insert = (key, offset) => {
+    Object.entries(config[key] || {}).forEach(([anchor, value]) => {
+      if (!includes(anchor)) {
+        problems.push(`${key}.${anchor} 参照的属性 "${anchor}" 不在属性顺序中`)
+        return
+      }
+      const properties = [].concat(value).filter((property) => property !== anchor)
+      properties
+        .filter((property) => !isKnownProperty(property))
+        .forEach((property) => problems.push(`${key}.${anchor} 未知的 css 属性 "${property}"`))
+      properties.forEach(removeProperty)
+      const index = items.indexOf(anchor)
+      if (index !== -1) {
+        items.splice(index + offset, 0, ...properties)
+      } else {
+        const group = items.find((item) => typeof item !== 'string' && item.properties.includes(anchor))
+        group.properties.splice(group.properties.indexOf(anchor) + offset, 0, ...properties)
+      }
+    })
+  }
+  insert('insertBefore', 0)
+  insert('insertAfter', 1)
+  return {
+    order: items.filter((item) => typeof item === 'string' || item.properties.length),
+    problems,
+  }
+}
+
+// 计算完整的属性顺序：以继承的顺序或预设为基础追加 order，再执行增删操作
+function resolveOrder (config) {
+  const base = config.baseOrder ?? (config.preset ? PRESETS[config.preset] : null)
+  const order = base
+    ? extendPreset(base, config.order || [])
+    : config.order || PRESETS.default
+  return applyOrderOperations(order, config)
+}
+
+// 展开 extends：预设名等同于 preset，文件路径则继承该文件的配置
+// 被继承文件的属性顺序合并为 baseOrder，其他配置项（overrides 除外）可被覆盖
+function expandExtends (config, chain) {
+  if (config.extends == null) {
+    return config
+  }
+  const { extends: base, ...rest } = config
+  if (PRESET_NAMES.includes(base)) {
+    return { ...rest, preset: base }
+  }
+  if (chain.includes(base)) {
+    throw new Error(`css-order: 配置文件循环继承：${[...chain, base].join(' -> ')}`)
+  }
+  if (!fs.existsSync(base)) {
+    throw new Error(`css-order: 找不到 extends 指向的配置文件 ${base}`)
+  }
+  const extended = expandExtends(loadConfigFileCached(base), [...chain, base])
+  return {
+    ...lodash.omit(extended, [...ORDER_KEYS, 'baseOrder', 'overrides']),
+    ...rest,
+    baseOrder: resolveOrder(extended).order,
+  }
+}
+
+/**
+ * 获取被检查文件生效的配置文件
+ * 从文件所在目录向上查找，找不到时回退到当前工作目录
+ * @param {string} filename 被检查的文件
+ * @param {string} cwd 当前工作目录
+ * @returns {{ filepath: string | null, config: object }} 配置文件路径及规范化后的配置
+ */
+export function loadConfig (filename, cwd = process.cwd()) {
+  const directory = path.dirname(path.resolve(cwd, filename))
+  return lookupConfig(directory) || lookupConfig(cwd) || { filepath: null, config: {} }
+}
+
+// contentOrder 同时包含自定义属性与普通属性时，由其决定自定义属性的位置
+function getCustomPropertiesPosition (config) {
+  const contentOrder = config.contentOrder || []
+  const customIndex = contentOrder.indexOf('custom-properties')
+  const declarationsIndex = contentOrder.indexOf('declarations')
+  if (customIndex !== -1 && declarationsIndex !== -1) {
+    return customIndex < declarationsIndex ? 'first' : 'last'
+  }
+  return config.customProperties ?? null
+}
+
+// 样式块适用的 overrides 项，后面的优先
+function getOverrideTargets (style) {
+  return [
+    style.lang,
+    style.scoped && 'scoped',
+    style.module && 'module',
+  ].filter(Boolean)
+}
+
+/**
+ * 合并规则选项与配置文件，规则选项优先
+ * 传入样式块时再依次合并其语言、scoped、module 对应的 overrides
+ * @param {string} filename 被检查的文件
+ * @param {object} options 规则选项
+ * @param {{ lang: string, scoped: boolean, module: boolean }} [style] 样式块信息
+ * @param {string} [cwd] 当前工作目录，即 ESLint 的 cwd
+ * @returns {object} 生效的配置，包括 order、indent、unspecified、customProperties、
+ *   sortCustomProperties、allowFallbacks、contentOrder、source、problems
+ *   source 为自定义属性顺序的来源，problems 为其中发现的问题
+ */
+export function resolveConfig (filename, options = {}, style = null, cwd = process.cwd()) {
+  const { filepath, config: fileConfig } = loadConfig(filename, cwd)
+  const relativePath = filepath && path.relative(cwd, filepath)
+  // 规则选项中的 extends 路径相对于当前工作目录
+  const baseConfig = { ...fileConfig, ...normalizeConfig(options, cwd) }
+  const hasOrderKeys = (config) => ORDER_KEYS.some((key) => config[key] != null)
+  let source = hasOrderKeys(options)
+    ? '规则选项'
+    : hasOrderKeys(fileConfig) && relativePath
+  const overrides = baseConfig.overrides || {}
+  let config = { ...baseConfig }
+  if (style) {
+    getOverrideTargets(style)
+      .filter((target) => overrides[target])
+      .forEach((target) => {
+        Object.assign(config, overrides[target])
+        if (hasOrderKeys(overrides[target])) {
+          const overrideSource = options.overrides ? '规则选项' : relativePath
+          source = `${overrideSource} overrides.${target}`
+        }
+      })
+  }
+  config = expandExtends(config, [])
+  const resolved = resolveOrder(config)
+  const order = resolved.order
+  const problems = [
+    ...(config.order ? validateOrder(config.order) : []),
+    ...resolved.problems,
+  ]
+  return {
+    order,
+    indent: config.indent ?? DEFAULT_INDENT,
+    unspecified: config.unspecified ?? DEFAULT_UNSPECIFIED,
+    customProperties: getCustomPropertiesPosition(config),
+    sortCustomProperties: Boolean(config.sortCustomProperties),
+    allowFallbacks: Boolean(config.allowFallbacks),
+    contentOrder: config.contentOrder ?? null,
+    source: source || null,
+    problems,
+  }
+}
@@ -246,7 +246,7 @@ export class CSSParser {
    * @param  {number} start  The index of start.
    * @param  {number} end  The index of end.
    * @param  {Node} parent  The parent node.
-   * @returns {VCSSStyleRule}
+   * @returns {VCSSStyleRule|VCSSDeclarationProperty}
    */
   convertRuleNode(
     node,
@@ -255,6 +255,18 @@ export class CSSParser {
     end,
     parent,
   ) {
+    // SCSS and Sass nested properties (`font: { size: 1px; }`) are parsed as a rule
+    // whose selector ends with a colon. Treat the whole block as a declaration of that property.
+    const nestedProperty = /^([\w-]+)\s*:$/u.exec(node.selector.trim());
+    if (nestedProperty) {
+      return new VCSSDeclarationProperty(node, loc, start, end, {
+        parent,
+        property: nestedProperty[1],
+        value: "",
+        important: false,
+      });
+    }
+
     const astNode = new VCSSStyleRule(node, loc, start, end, {
       parent,
       rawSelectorText: this.getRaw(node, "selector")?.raw ?? null,
@@ -576,7 +576,8 @@ function getESLintLineAndColumnFromPostCSSSelectorParserNode(
     column: 1,
   };
   let { line } = sourceLoc;
-  let column = sourceLoc.column - 1; // Change to 0 base.
+  // A selector that starts with a line break (`a,\nb`) is reported at column 0.
+  let column = Math.max(sourceLoc.column - 1, 0); // Change to 0 base.
   if (line === 1) {
     line = offsetLocation.line;
     column = offsetLocation.column + column;
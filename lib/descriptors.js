@@ -0,0 +1,45 @@
+// 描述符 at 规则中的内容为描述符而非 css 属性，按各自的描述符顺序排序
+// 顺序参照各规范中描述符的定义顺序，相关的描述符相邻
+const DESCRIPTOR_ORDERS = {
+  'font-face': [
+    'font-family',
+    'src',
+    'font-display',
+    'font-style',
+    'font-weight',
+    'font-stretch',
+    'unicode-range',
+    'font-feature-settings',
+    'font-variation-settings',
+    'font-named-instance',
+    'ascent-override',
+    'descent-override',
+    'line-gap-override',
+    'size-adjust'
+  ],
+  'font-palette-values': ['font-family', 'base-palette', 'override-colors'],
+  'counter-style': [
+    'system',
+    'symbols',
+    'additive-symbols',
+    'negative',
+    'prefix',
+    'suffix',
+    'range',
+    'pad',
+    'speak-as',
+    'fallback'
+  ],
+  'property': ['syntax', 'inherits', 'initial-value'],
+  'view-transition': ['navigation', 'types']
+}
+
+/**
+ * 描述符 at 规则中描述符的顺序
+ * @param {string} name at 规则名，不含 @
+ * @returns {string[] | null} 描述符顺序，不是描述符 at 规则时返回 null
+ */
+export function getDescriptorOrder (name) {
+  const key = name.toLowerCase()
+  return Object.hasOwn(DESCRIPTOR_ORDERS, key) ? DESCRIPTOR_ORDERS[key] : null
+}
@@ -0,0 +1,65 @@
+import postcssLess from "postcss-less";
+import { CSSParser } from "./css-parser.js";
+import { VCSSInlineComment } from "./ast.js";
+import { LessSelectorParser } from "./less-selector-parser.js";
+
+/**
+ * Less Parser
+ */
+export class LessParser extends CSSParser {
+  parseInternal(css) {
+    const root = postcssLess.parse(css);
+    root.walkComments((node) => {
+      if (node.inline) {
+        // postcss-less does not set the end of inline comments correctly.
+        const { left = "", right = "" } = node.raws;
+        const length = "//".length + left.length + node.text.length + right.length;
+        node.source.end = {
+          line: node.source.start.line,
+          column: node.source.start.column + length - 1,
+          offset: node.source.start.offset + length,
+        };
+      }
+    });
+    return root;
+  }
+
+  createSelectorParser() {
+    return new LessSelectorParser(this.sourceCode, this.commentContainer);
+  }
+
+  /**
+   * Convert comment Node
+   * @param  {object} node  The node.
+   * @param  {SourceLocation} loc  The location.
+   * @param  {number} start  The index of start.
+   * @param  {number} end  The index of end.
+   * @param  {Node} parent  The parent node.
+   * @returns {void}
+   */
+  convertCommentNode(
+    node,
+    loc,
+    start,
+    end,
+    parent,
+  ) {
+    if (node.inline) {
+      this.commentContainer.push(
+        new VCSSInlineComment(node, node.text, loc, start, end, {
+          parent,
+        }),
+      );
+      return null;
+    }
+    return super.convertCommentNode(node, loc, start, end, parent);
+  }
+
+  parseAtruleRawsAfterName(node, astNode) {
+    if (node.variable) {
+      // The `afterName` of `@var: value` is the colon, not comments.
+      return;
+    }
+    super.parseAtruleRawsAfterName(node, astNode);
+  }
+}
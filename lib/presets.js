@@ -0,0 +1,675 @@
+import knownCssProperties from 'known-css-properties'
+import defaultOrder, { getUnprefixedProperty } from './properties.js'
+
+// 按字母顺序排列全部已知的 css 属性
+// 不包含带浏览器前缀的属性，使其紧挨在对应的标准属性之前
+const alphabetical = knownCssProperties.all
+  .filter((property) => getUnprefixedProperty(property) === property)
+  .sort()
+
+// https://rhodesjason.com/concentric-css/
+const concentric = [
+  {
+    groupName: 'display',
+    properties: [
+      'display',
+      'position',
+      'top',
+      'right',
+      'bottom',
+      'left',
+      'columns',
+      'column-gap',
+      'column-fill',
+      'column-rule',
+      'column-span',
+      'column-count',
+      'column-width',
+      'float',
+      'clear',
+      'transform',
+      'transform-origin',
+      'transition',
+      'visibility',
+      'opacity',
+      'z-index'
+    ]
+  },
+  {
+    groupName: 'flex and grid',
+    properties: [
+      'flex',
+      'flex-basis',
+      'flex-direction',
+      'flex-flow',
+      'flex-grow',
+      'flex-shrink',
+      'flex-wrap',
+      'align-content',
+      'align-items',
+      'align-self',
+      'justify-content',
+      'justify-items',
+      'justify-self',
+      'order',
+      'grid',
+      'grid-area',
+      'grid-template',
+      'grid-template-areas',
+      'grid-template-rows',
+      'grid-template-columns',
+      'grid-row',
+      'grid-row-start',
+      'grid-row-end',
+      'grid-column',
+      'grid-column-start',
+      'grid-column-end',
+      'grid-auto-rows',
+      'grid-auto-columns',
+      'grid-auto-flow',
+      'gap',
+      'row-gap'
+    ]
+  },
+  {
+    groupName: 'margin',
+    properties: [
+      'margin',
+      'margin-top',
+      'margin-right',
+      'margin-bottom',
+      'margin-left'
+    ]
+  },
+  {
+    groupName: 'border',
+    properties: [
+      'outline',
+      'outline-offset',
+      'outline-width',
+      'outline-style',
+      'outline-color',
+      'border',
+      'border-top',
+      'border-right',
+      'border-bottom',
+      'border-left',
+      'border-width',
+      'border-top-width',
+      'border-right-width',
+      'border-bottom-width',
+      'border-left-width',
+      'border-style',
+      'border-top-style',
+      'border-right-style',
+      'border-bottom-style',
+      'border-left-style',
+      'border-radius',
+      'border-top-left-radius',
+      'border-top-right-radius',
+      'border-bottom-left-radius',
+      'border-bottom-right-radius',
+      'border-color',
+      'border-top-color',
+      'border-right-color',
+      'border-bottom-color',
+      'border-left-color',
+      'border-image',
+      'box-shadow'
+    ]
+  },
+  {
+    groupName: 'background',
+    properties: [
+      'background',
+      'background-attachment',
+      'background-clip',
+      'background-color',
+      'background-image',
+      'background-repeat',
+      'background-position',
+      'background-size',
+      'cursor'
+    ]
+  },
+  {
+    groupName: 'padding',
+    properties: [
+      'padding',
+      'padding-top',
+      'padding-right',
+      'padding-bottom',
+      'padding-left'
+    ]
+  },
+  {
+    groupName: 'dimensions',
+    properties: [
+      'box-sizing',
+      'width',
+      'min-width',
+      'max-width',
+      'height',
+      'min-height',
+      'max-height',
+      'overflow',
+      'overflow-x',
+      'overflow-y',
+      'resize'
+    ]
+  },
+  {
+    groupName: 'text',
+    properties: [
+      'list-style',
+      'list-style-type',
+      'list-style-position',
+      'list-style-image',
+      'caption-side',
+      'table-layout',
+      'border-collapse',
+      'border-spacing',
+      'empty-cells',
+      'vertical-align',
+      'text-align',
+      'text-align-last',
+      'text-indent',
+      'text-justify',
+      'text-overflow',
+      'text-transform',
+      'text-decoration',
+      'text-rendering',
+      'text-shadow',
+      'line-height',
+      'word-spacing',
+      'letter-spacing',
+      'white-space',
+      'word-break',
+      'word-wrap',
+      'overflow-wrap',
+      'hyphens',
+      'tab-size',
+      'color',
+      'font',
+      'font-family',
+      'font-size',
+      'font-size-adjust',
+      'font-stretch',
+      'font-weight',
+      'font-style',
+      'font-variant',
+      'content',
+      'quotes',
+      'counter-reset',
+      'counter-increment'
+    ]
+  }
+]
+
+// https://github.com/cahamilton/css-property-sort-order-smacss
+const smacss = [
+  {
+    groupName: 'box',
+    properties: [
+      'display',
+      'position',
+      'top',
+      'right',
+      'bottom',
+      'left',
+      'flex',
+      'flex-basis',
+      'flex-direction',
+      'flex-flow',
+      'flex-grow',
+      'flex-shrink',
+      'flex-wrap',
+      'grid',
+      'grid-area',
+      'grid-template',
+      'grid-template-areas',
+      'grid-template-rows',
+      'grid-template-columns',
+      'grid-row',
+      'grid-row-start',
+      'grid-row-end',
+      'grid-column',
+      'grid-column-start',
+      'grid-column-end',
+      'grid-auto-rows',
+      'grid-auto-columns',
+      'grid-auto-flow',
+      'gap',
+      'row-gap',
+      'column-gap',
+      'align-content',
+      'align-items',
+      'align-self',
+      'justify-content',
+      'justify-items',
+      'justify-self',
+      'order',
+      'float',
+      'clear',
+      'box-sizing',
+      'width',
+      'min-width',
+      'max-width',
+      'height',
+      'min-height',
+      'max-height',
+      'margin',
+      'margin-top',
+      'margin-right',
+      'margin-bottom',
+      'margin-left',
+      'padding',
+      'padding-top',
+      'padding-right',
+      'padding-bottom',
+      'padding-left',
+      'object-fit',
+      'object-position',
+      'overflow',
+      'overflow-x',
+      'overflow-y',
+      'clip',
+      'z-index'
+    ]
+  },
+  {
+    groupName: 'border',
+    properties: [
+      'border',
+      'border-color',
+      'border-style',
+      'border-width',
+      'border-top',
+      'border-top-color',
+      'border-top-style',
+      'border-top-width',
+      'border-right',
+      'border-right-color',
+      'border-right-style',
+      'border-right-width',
+      'border-bottom',
+      'border-bottom-color',
+      'border-bottom-style',
+      'border-bottom-width',
+      'border-left',
+      'border-left-color',
+      'border-left-style',
+      'border-left-width',
+      'border-radius',
+      'border-top-left-radius',
+      'border-top-right-radius',
+      'border-bottom-right-radius',
+      'border-bottom-left-radius',
+      'border-image',
+      'border-collapse',
+      'border-spacing',
+      'box-shadow'
+    ]
+  },
+  {
+    groupName: 'background',
+    properties: [
+      'background',
+      'background-attachment',
+      'background-clip',
+      'background-color',
+      'background-image',
+      'background-repeat',
+      'background-position',
+      'background-size',
+      'background-blend-mode'
+    ]
+  },
+  {
+    groupName: 'text',
+    properties: [
+      'color',
+      'font',
+      'font-family',
+      'font-size',
+      'font-style',
+      'font-variant',
+      'font-weight',
+      'font-stretch',
+      'line-height',
+      'letter-spacing',
+      'list-style',
+      'list-style-type',
+      'list-style-position',
+      'list-style-image',
+      'text-align',
+      'text-decoration',
+      'text-indent',
+      'text-overflow',
+      'text-rendering',
+      'text-shadow',
+      'text-transform',
+      'vertical-align',
+      'white-space',
+      'word-break',
+      'word-spacing',
+      'word-wrap',
+      'overflow-wrap',
+      'hyphens',
+      'content',
+      'quotes'
+    ]
+  },
+  {
+    groupName: 'other',
+    properties: [
+      'cursor',
+      'opacity',
+      'outline',
+      'outline-color',
+      'outline-offset',
+      'outline-style',
+      'outline-width',
+      'pointer-events',
+      'user-select',
+      'visibility',
+      'filter',
+      'transform',
+      'transform-origin',
+      'transition',
+      'transition-delay',
+      'transition-duration',
+      'transition-property',
+      'transition-timing-function',
+      'animation',
+      'animation-delay',
+      'animation-direction',
+      'animation-duration',
+      'animation-fill-mode',
+      'animation-iteration-count',
+      'animation-name',
+      'animation-play-state',
+      'animation-timing-function',
+      'will-change'
+    ]
+  }
+]
+
+// https://github.com/necolas/idiomatic-css#declaration-order
+const idiomatic = [
+  {
+    groupName: 'positioning',
+    properties: [
+      'position',
+      'z-index',
+      'top',
+      'right',
+      'bottom',
+      'left'
+    ]
+  },
+  {
+    groupName: 'display and box model',
+    properties: [
+      'display',
+      'flex',
+      'flex-basis',
+      'flex-direction',
+      'flex-flow',
+      'flex-grow',
+      'flex-shrink',
+      'flex-wrap',
+      'align-content',
+      'align-items',
+      'align-self',
+      'justify-content',
+      'order',
+      'float',
+      'clear',
+      'overflow',
+      'overflow-x',
+      'overflow-y',
+      'box-sizing',
+      'width',
+      'min-width',
+      'max-width',
+      'height',
+      'min-height',
+      'max-height',
+      'padding',
+      'padding-top',
+      'padding-right',
+      'padding-bottom',
+      'padding-left',
+      'border',
+      'border-top',
+      'border-right',
+      'border-bottom',
+      'border-left',
+      'border-width',
+      'border-style',
+      'border-color',
+      'border-radius',
+      'margin',
+      'margin-top',
+      'margin-right',
+      'margin-bottom',
+      'margin-left'
+    ]
+  },
+  {
+    groupName: 'other',
+    properties: [
+      'background',
+      'background-color',
+      'background-image',
+      'background-repeat',
+      'background-position',
+      'background-size',
+      'box-shadow',
+      'color',
+      'font',
+      'font-family',
+      'font-size',
+      'font-style',
+      'font-weight',
+      'line-height',
+      'letter-spacing',
+      'text-align',
+      'text-decoration',
+      'text-indent',
+      'text-overflow',
+      'text-shadow',
+      'text-transform',
+      'vertical-align',
+      'white-space',
+      'word-break',
+      'word-wrap',
+      'list-style',
+      'cursor',
+      'opacity',
+      'visibility',
+      'transform',
+      'transition',
+      'animation',
+      'content'
+    ]
+  }
+]
+
+// https://github.com/twitter-archive/recess/blob/master/lib/lint/strict-property-order.js
+const recess = [
+  'position',
+  'top',
+  'right',
+  'bottom',
+  'left',
+  'z-index',
+  'display',
+  'flex',
+  'flex-basis',
+  'flex-direction',
+  'flex-flow',
+  'flex-grow',
+  'flex-shrink',
+  'flex-wrap',
+  'align-content',
+  'align-items',
+  'align-self',
+  'justify-content',
+  'order',
+  'float',
+  'width',
+  'height',
+  'max-width',
+  'max-height',
+  'min-width',
+  'min-height',
+  'padding',
+  'padding-top',
+  'padding-right',
+  'padding-bottom',
+  'padding-left',
+  'margin',
+  'margin-top',
+  'margin-right',
+  'margin-bottom',
+  'margin-left',
+  'overflow',
+  'overflow-x',
+  'overflow-y',
+  'clip',
+  'clear',
+  'font',
+  'font-family',
+  'font-size',
+  'font-style',
+  'font-weight',
+  'font-variant',
+  'font-size-adjust',
+  'font-stretch',
+  'hyphens',
+  'line-height',
+  'color',
+  'text-align',
+  'text-align-last',
+  'text-emphasis',
+  'text-emphasis-color',
+  'text-emphasis-style',
+  'text-emphasis-position',
+  'text-decoration',
+  'text-indent',
+  'text-justify',
+  'text-overflow',
+  'text-shadow',
+  'text-transform',
+  'text-wrap',
+  'letter-spacing',
+  'word-break',
+  'word-spacing',
+  'word-wrap',
+  'overflow-wrap',
+  'tab-size',
+  'white-space',
+  'vertical-align',
+  'list-style',
+  'list-style-position',
+  'list-style-type',
+  'list-style-image',
+  'pointer-events',
+  'cursor',
+  'visibility',
+  'zoom',
+  'table-layout',
+  'empty-cells',
+  'caption-side',
+  'border-spacing',
+  'border-collapse',
+  'content',
+  'quotes',
+  'counter-reset',
+  'counter-increment',
+  'resize',
+  'user-select',
+  'nav-index',
+  'nav-up',
+  'nav-right',
+  'nav-down',
+  'nav-left',
+  'background',
+  'background-color',
+  'background-image',
+  'filter',
+  'background-repeat',
+  'background-attachment',
+  'background-position',
+  'background-position-x',
+  'background-position-y',
+  'background-clip',
+  'background-origin',
+  'background-size',
+  'border',
+  'border-color',
+  'border-style',
+  'border-width',
+  'border-top',
+  'border-top-color',
+  'border-top-style',
+  'border-top-width',
+  'border-right',
+  'border-right-color',
+  'border-right-style',
+  'border-right-width',
+  'border-bottom',
+  'border-bottom-color',
+  'border-bottom-style',
+  'border-bottom-width',
+  'border-left',
+  'border-left-color',
+  'border-left-style',
+  'border-left-width',
+  'border-radius',
+  'border-top-left-radius',
+  'border-top-right-radius',
+  'border-bottom-right-radius',
+  'border-bottom-left-radius',
+  'border-image',
+  'border-image-source',
+  'border-image-slice',
+  'border-image-width',
+  'border-image-outset',
+  'border-image-repeat',
+  'outline',
+  'outline-width',
+  'outline-style',
+  'outline-color',
+  'outline-offset',
+  'box-shadow',
+  'opacity',
+  'transition',
+  'transition-delay',
+  'transition-timing-function',
+  'transition-duration',
+  'transition-property',
+  'transform',
+  'transform-origin',
+  'animation',
+  'animation-name',
+  'animation-duration',
+  'animation-play-state',
+  'animation-timing-function',
+  'animation-delay',
+  'animation-iteration-count',
+  'animation-direction'
+]
+
+export const PRESETS = {
+  default: defaultOrder,
+  alphabetical,
+  concentric,
+  smacss,
+  idiomatic,
+  recess
+}
+
+export const PRESET_NAMES = Object.keys(PRESETS)
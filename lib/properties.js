@@ -21,137 +21,49 @@ export default [
   'z-index',
   'display',
   'flex',
-  '-webkit-flex',
-  '-moz-flex',
   'flex-grow',
-  '-webkit-flex-grow',
-  '-moz-flex-grow',
   'flex-shrink',
-  '-webkit-flex-shrink',
-  '-moz-flex-shrink',
   'flex-basis',
-  '-webkit-flex-basis',
-  '-moz-flex-basis',
   'flex-flow',
-  '-webkit-flex-flow',
-  '-moz-flex-flow',
   'flex-wrap',
-  '-webkit-flex-wrap',
-  '-moz-flex-wrap',
   'flex-direction',
-  '-webkit-flex-direction',
-  '-moz-flex-direction',
   'align-items',
-  '-webkit-align-items',
-  '-moz-align-items',
   'justify-content',
-  '-webkit-justify-content',
-  '-moz-justify-content',
   'align-self',
-  '-webkit-align-self',
-  '-moz-align-self',
   'align-content',
-  '-webkit-align-content',
-  '-moz-align-content',
   'justify-self',
-  '-webkit-justify-self',
-  '-moz-justify-self',
   'justify-items',
-  '-webkit-justify-items',
-  '-moz-justify-items',
   'place-items',
-  '-webkit-place-items',
-  '-moz-place-items',
   'place-content',
-  '-webkit-place-content',
-  '-moz-place-content',
   'place-self',
-  '-webkit-place-self',
-  '-moz-place-self',
   'grid',
-  '-webkit-grid',
-  '-moz-grid',
   'grid-template',
-  '-webkit-grid-template',
-  '-moz-grid-template',
   'grid-template-rows',
-  '-webkit-grid-template-rows',
-  '-moz-grid-template-rows',
   'grid-template-columns',
-  '-webkit-grid-template-columns',
-  '-moz-grid-template-columns',
   'grid-template-areas',
-  '-webkit-grid-template-areas',
-  '-moz-grid-template-areas',
   'grid-auto-rows',
-  '-webkit-grid-auto-rows',
-  '-moz-grid-auto-rows',
   'grid-auto-columns',
-  '-webkit-grid-auto-columns',
-  '-moz-grid-auto-columns',
   'grid-auto-flow',
-  '-webkit-grid-auto-flow',
-  '-moz-grid-auto-flow',
   'grid-area',
-  '-webkit-grid-area',
-  '-moz-grid-area',
   'grid-row',
-  '-webkit-grid-row',
-  '-moz-grid-row',
   'grid-row-start',
-  '-webkit-grid-row-start',
-  '-moz-grid-row-start',
   'grid-row-end',
-  '-webkit-grid-row-end',
-  '-moz-grid-row-end',
   'grid-column',
-  '-webkit-grid-column',
-  '-moz-grid-column',
   'grid-column-start',
-  '-webkit-grid-column-start',
-  '-moz-grid-column-start',
   'grid-column-end',
-  '-webkit-grid-column-end',
-  '-moz-grid-column-end',
   'gap',
-  '-webkit-gap',
-  '-moz-gap',
   'row-gap',
-  '-webkit-row-gap',
-  '-moz-row-gap',
   'column-gap',
-  '-webkit-column-gap',
-  '-moz-column-gap',
   'columns',
-  '-webkit-columns',
-  '-moz-columns',
   'column-width',
-  '-webkit-column-width',
-  '-moz-column-width',
   'column-count',
-  '-webkit-column-count',
-  '-moz-column-count',
   'column-rule',
-  '-webkit-column-rule',
-  '-moz-column-rule',
   'column-rule-width',
-  '-webkit-column-rule-width',
-  '-moz-column-rule-width',
   'column-rule-style',
-  '-webkit-column-rule-style',
-  '-moz-column-rule-style',
   'column-rule-color',
-  '-webkit-column-rule-color',
-  '-moz-column-rule-color',
   'column-span',
-  '-webkit-column-span',
-  '-moz-column-span',
   'column-fill',
-  '-webkit-column-fill',
-  '-moz-column-fill',
   'order',
-  '-webkit-order',
-  '-moz-order',
   'width',
   'min-width',
   'max-width',
@@ -216,11 +128,7 @@ export default [
   'background-size',
   'background-blend-mode',
   'box-decoration-break',
-  '-webkit-box-decoration-break',
-  '-moz-box-decoration-break',
   'box-sizing',
-  '-webkit-box-sizing',
-  '-moz-box-sizing',
   'border',
   'border-style',
   'border-width',
@@ -299,31 +207,17 @@ export default [
   'text-transform',
   'text-overflow',
   'text-emphasis',
-  '-webkit-text-emphasis',
-  '-moz-text-emphasis',
   'text-emphasis-color',
-  '-webkit-text-emphasis-color',
-  '-moz-text-emphasis-color',
   'text-emphasis-style',
-  '-webkit-text-emphasis-style',
-  '-moz-text-emphasis-style',
   'text-emphasis-position',
-  '-webkit-text-emphasis-position',
-  '-moz-text-emphasis-position',
   'text-shadow',
   'text-orientation',
   'text-combine-upright',
   'letter-spacing',
   'line-break',
   'hyphens',
-  '-webkit-hyphens',
-  '-moz-hyphens',
   'hyphenate-character',
-  '-webkit-hyphenate-character',
-  '-moz-hyphenate-character',
   'writing-mode',
-  '-webkit-writing-mode',
-  '-moz-writing-mode',
   'direction',
   'unicode-bidi',
   'word-spacing',
@@ -333,101 +227,44 @@ export default [
   'tab-size',
   'quotes',
   'hanging-punctuation',
-  'box-orient',
   '-webkit-box-orient',
-  '-moz-box-orient',
   'line-clamp',
-  '-webkit-line-clamp',
-  '-moz-line-clamp',
   'overflow',
   'overflow-x',
   'overflow-y',
   'overflow-anchor',
   'overflow-block',
   'overflow-inline',
-  'text-overflow',
   'color',
   'color-scheme',
   'accent-color',
   'caret-color',
   'transition',
-  '-webkit-transition',
-  '-moz-transition',
   'transition-delay',
-  '-webkit-transition-delay',
-  '-moz-transition-delay',
   'transition-timing-function',
-  '-webkit-transition-timing-function',
-  '-moz-transition-timing-function',
   'transition-duration',
-  '-webkit-transition-duration',
-  '-moz-transition-duration',
   'transition-property',
-  '-webkit-transition-property',
-  '-moz-transition-property',
   'transform',
-  '-webkit-transform',
-  '-moz-transform',
   'transform-origin',
-  '-webkit-transform-origin',
-  '-moz-transform-origin',
   'transform-style',
-  '-webkit-transform-style',
-  '-moz-transform-style',
   'transform-box',
-  '-webkit-transform-box',
-  '-moz-transform-box',
   'perspective',
-  '-webkit-perspective',
-  '-moz-perspective',
   'perspective-origin',
-  '-webkit-perspective-origin',
-  '-moz-perspective-origin',
   'backface-visibility',
-  '-webkit-backface-visibility',
-  '-moz-backface-visibility',
   'rotate',
-  '-webkit-rotate',
-  '-moz-rotate',
   'scale',
-  '-webkit-scale',
-  '-moz-scale',
   'translate',
-  '-webkit-translate',
-  '-moz-translate',
   'animation',
-  '-webkit-animation',
-  '-moz-animation',
   'animation-name',
-  '-webkit-animation-name',
-  '-moz-animation-name',
   'animation-duration',
-  '-webkit-animation-duration',
-  '-moz-animation-duration',
   'animation-play-state',
-  '-webkit-animation-play-state',
-  '-moz-animation-play-state',
   'animation-timing-function',
-  '-webkit-animation-timing-function',
-  '-moz-animation-timing-function',
   'animation-delay',
-  '-webkit-animation-delay',
-  '-moz-animation-delay',
   'animation-iteration-count',
-  '-webkit-animation-iteration-count',
-  '-moz-animation-iteration-count',
   'animation-direction',
-  '-webkit-animation-direction',
-  '-moz-animation-direction',
   'animation-fill-mode',
-  '-webkit-animation-fill-mode',
-  '-moz-animation-fill-mode',
   'animation-composition',
-  '-webkit-animation-composition',
-  '-moz-animation-composition',
   'animation-timeline',
-  '-webkit-animation-timeline',
-  '-moz-animation-timeline',
   'outline',
   'outline-width',
   'outline-style',
@@ -435,78 +272,32 @@ export default [
   'outline-offset',
   'opacity',
   'filter',
-  '-webkit-filter',
-  '-moz-filter',
   'backdrop-filter',
-  '-webkit-backdrop-filter',
-  '-moz-backdrop-filter',
   'box-shadow',
-  '-webkit-box-shadow',
-  '-moz-box-shadow',
   'resize',
   'cursor',
   'user-select',
-  '-webkit-user-select',
-  '-moz-user-select',
   'pointer-events',
   'aspect-ratio',
-  '-webkit-aspect-ratio',
-  '-moz-aspect-ratio',
   'clip',
   'clip-path',
-  '-webkit-clip-path',
-  '-moz-clip-path',
   'mask',
-  '-webkit-mask',
-  '-moz-mask',
   'mask-image',
-  '-webkit-mask-image',
-  '-moz-mask-image',
   'mask-mode',
-  '-webkit-mask-mode',
-  '-moz-mask-mode',
   'mask-repeat',
-  '-webkit-mask-repeat',
-  '-moz-mask-repeat',
   'mask-position',
-  '-webkit-mask-position',
-  '-moz-mask-position',
   'mask-size',
-  '-webkit-mask-size',
-  '-moz-mask-size',
   'mask-clip',
-  '-webkit-mask-clip',
-  '-moz-mask-clip',
   'mask-origin',
-  '-webkit-mask-origin',
-  '-moz-mask-origin',
   'mask-composite',
-  '-webkit-mask-composite',
-  '-moz-mask-composite',
   'mask-type',
-  '-webkit-mask-type',
-  '-moz-mask-type',
   'mask-border',
-  '-webkit-mask-border',
-  '-moz-mask-border',
   'mix-blend-mode',
-  '-webkit-mix-blend-mode',
-  '-moz-mix-blend-mode',
   'isolation',
-  '-webkit-isolation',
-  '-moz-isolation',
   'scroll-behavior',
-  '-webkit-scroll-behavior',
-  '-moz-scroll-behavior',
   'scroll-snap-type',
-  '-webkit-scroll-snap-type',
-  '-moz-scroll-snap-type',
   'scroll-snap-align',
-  '-webkit-scroll-snap-align',
-  '-moz-scroll-snap-align',
   'scroll-snap-stop',
-  '-webkit-scroll-snap-stop',
-  '-moz-scroll-snap-stop',
   'scroll-margin',
   'scroll-margin-top',
   'scroll-margin-right',
@@ -532,11 +323,7 @@ export default [
   'contain-intrinsic-height',
   'content-visibility',
   'appearance',
-  '-webkit-appearance',
-  '-moz-appearance',
   'touch-action',
-  '-webkit-touch-action',
-  '-moz-touch-action',
   'break-before',
   'break-after',
   'break-inside',
@@ -549,4 +336,15 @@ export default [
   'counter-reset',
   'counter-increment',
   'counter-set'
-]
\ No newline at end of file
+]
+
+const VENDOR_PREFIX = /^-(?:webkit|moz|ms|o)-/
+
+/**
+ * 去掉属性的浏览器前缀，如 -webkit-flex -> flex
+ * @param {string} property 属性名
+ * @returns {string} 标准属性名，没有前缀时原样返回
+ */
+export function getUnprefixedProperty (property) {
+  return property.replace(VENDOR_PREFIX, '')
+}
@@ -4,41 +4,123 @@
  */
 'use strict'
 
-import { getSourceCode } from 'eslint-compat-utils'
+import { getSourceCode, getPhysicalFilename, getCwd } from 'eslint-compat-utils'
 import lodash from 'lodash'
 import { CSSParser } from '../css-parser.js'
 import { SCSSParser } from '../scss-parser.js'
 import { StylusParser } from '../stylus-parser.js'
-import path from 'path'
-import fs from 'fs'
-import * as defaultConfig from '../properties.js' // 默认配置
-
-// 同步加载用户配置
-function loadUserConfigSync () {
-  // 配置文件路径
-  const configPath = path.join(process.cwd(), 'css-order.config.json')
-  // 检查配置文件
-  if (fs.existsSync(configPath)) {
-    try {
-      // 处理 JSON 配置文件
-      const content = fs.readFileSync(configPath, 'utf-8')
-      return JSON.parse(content)
-    } catch (e) {
-      console.error(`Error loading config at ${configPath}:`, e)
+import { SassParser } from '../sass-parser.js'
+import { LessParser } from '../less-parser.js'
+import { PRESET_NAMES } from '../presets.js'
+import { getDescriptorOrder } from '../descriptors.js'
+import { getLonghands, isShorthandOf } from '../shorthands.js'
+import { createSorter, isCustomProperty, getPropertyName } from '../sorter.js'
+import {
+  resolveConfig,
+  UNSPECIFIED_OPTIONS,
+  CUSTOM_PROPERTIES_OPTIONS,
+  CONTENT_KINDS,
+  OVERRIDE_TARGETS
+} from '../config.js'
+
+// scss、sass 变量（$*）及 stylus 的变量赋值（name = value），不作为 css 属性排序
+function isVariableDeclaration (node) {
+  return node.property.startsWith('$') || Boolean(node.node?.assignment)
+}
+
+// scss、sass 的嵌套属性（font: { size: 1px; }）作为一个属性声明参与排序
+function isNestedProperties (node) {
+  return node.node?.type === 'rule'
+}
+
+// less 中的 &:extend(...) 被解析为属性声明
+function isLessExtend (node) {
+  return Boolean(node.node?.extend)
+}
+
+// 块内节点对应的内容类型，见 contentOrder
+function getContentKind (node) {
+  if (node.type === 'VCSSDeclarationProperty') {
+    if (isCustomProperty(node.property)) {
+      return 'custom-properties'
+    }
+    if (isLessExtend(node)) {
+      return 'at-extend'
+    }
+    return isVariableDeclaration(node) ? 'dollar-variables' : 'declarations'
+  }
+  if (node.type === 'VCSSAtRule') {
+    // less 的变量（@var: value）与 mixin 调用（.mixin();）被解析为 at 规则
+    if (node.node?.variable) {
+      return 'at-variables'
+    }
+    if (node.node?.mixin) {
+      return 'less-mixins'
+    }
+    if (node.name === 'extend') {
+      return 'at-extend'
     }
+    return node.name === 'include' ? 'at-include' : 'at-rules'
   }
+  return node.type === 'VCSSStyleRule' ? 'rules' : null
+}
 
-  // 3. 使用默认配置
-  return defaultConfig.default || defaultConfig
+// 文本中最常用的换行符（LF、CRLF 或 CR），没有换行时使用 LF
+function getLineEnding (text) {
+  const counts = { '\n': 0, '\r\n': 0, '\r': 0 }
+  for (const [eol] of text.matchAll(/\r\n|\r|\n/g)) {
+    counts[eol]++
+  }
+  return Object.keys(counts).reduce((a, b) => counts[b] > counts[a] ? b : a)
 }
 
-// 加载配置
-const userConfig = loadUserConfigSync()
+// 与 ESLint 的指令注释相同，可以在 -- 之后写明原因，如 /* css-order-disable -- 兼容旧版浏览器 */
+const DIRECTIVE_PATTERN = /^(css-order-(?:disable|enable|disable-next-line))(?:\s+--[\s\S]*)?$/
+
+// 解析样式块内的 css-order-disable / css-order-enable / css-order-disable-next-line 注释
+// 行号均为文件中的绝对行号，disable 未配对 enable 时一直禁用到样式块结束
+function createDisableDirectives (style) {
+  const directives = []
+  let openDirective = null
+  const comments = [...style.cssNode.comments].sort((a, b) => a.range[0] - b.range[0])
+  comments.forEach((comment) => {
+    const match = DIRECTIVE_PATTERN.exec(comment.text.trim())
+    if (!match) {
+      return
+    }
+    const name = match[1]
+    if (name === 'css-order-disable-next-line') {
+      const line = comment.loc.end.line + 1
+      directives.push({ name, comment, startLine: line, endLine: line, used: false })
+    } else if (name === 'css-order-disable') {
+      if (!openDirective) {
+        openDirective = { name, comment, startLine: comment.loc.start.line, endLine: Infinity, used: false }
+        directives.push(openDirective)
+      }
+    } else if (openDirective) {
+      openDirective.endLine = comment.loc.end.line
+      openDirective = null
+    }
+  })
 
-// 处理配置格式
-const propertyGroups = Array.isArray(userConfig)
-  ? userConfig
-  : userConfig.propertyGroups || userConfig
+  const getDirectives = (line) => directives.filter((item) => item.startLine <= line && line <= item.endLine)
+  return {
+    isDisabled (line) {
+      return getDirectives(line).length > 0
+    },
+    // 该行的问题被禁用注释忽略时返回 true，并将对应注释标记为已使用
+    suppress (line) {
+      const matched = getDirectives(line)
+      matched.forEach((item) => {
+        item.used = true
+      })
+      return matched.length > 0
+    },
+    getUnused () {
+      return directives.filter((item) => !item.used)
+    }
+  }
+}
 
 const CACHE = new WeakMap()
 
@@ -142,12 +224,19 @@ function getLang (style) {
 function isSupportedStyleLang (
   lang
 ) {
-  return lang === 'css' || lang === 'scss' || lang === 'stylus'
+  return lang === 'css' || lang === 'scss' || lang === 'sass' || lang === 'less' || lang === 'stylus'
+}
+
+// 缩进语法，语句之间不需要分号
+function isIndentedSyntax (lang) {
+  return lang === 'sass' || lang === 'stylus'
 }
 
 const PARSERS = {
   scss: SCSSParser,
   css: CSSParser,
+  sass: SassParser,
+  less: LessParser,
   stylus: StylusParser
 }
 
@@ -228,6 +317,87 @@ function getStyleContexts (context) {
   return (cache.styles = createStyleContexts(context))
 }
 
+// insertBefore / insertAfter：参照的属性名 -> 要插入的属性名或属性名数组
+const INSERTION_SCHEMA = {
+  type: 'object',
+  additionalProperties: {
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        minItems: 1,
+        uniqueItems: true
+      }
+    ]
+  }
+}
+
+// 规则选项中的配置项，overrides 中的各项使用相同的结构
+const OPTION_PROPERTIES = {
+  order: {
+    type: 'array',
+    items: {
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        {
+          type: 'object',
+          properties: {
+            groupName: { type: 'string' },
+            properties: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              uniqueItems: true
+            },
+            emptyLineBefore: { type: 'boolean' }
+          },
+          required: ['properties'],
+          additionalProperties: false
+        }
+      ]
+    },
+    uniqueItems: true
+  },
+  preset: {
+    enum: PRESET_NAMES
+  },
+  extends: {
+    type: 'string',
+    minLength: 1
+  },
+  remove: {
+    type: 'array',
+    items: { type: 'string', minLength: 1 },
+    uniqueItems: true
+  },
+  insertBefore: INSERTION_SCHEMA,
+  insertAfter: INSERTION_SCHEMA,
+  unspecified: {
+    enum: UNSPECIFIED_OPTIONS
+  },
+  customProperties: {
+    enum: CUSTOM_PROPERTIES_OPTIONS
+  },
+  sortCustomProperties: {
+    type: 'boolean'
+  },
+  allowFallbacks: {
+    type: 'boolean'
+  },
+  contentOrder: {
+    type: 'array',
+    items: { enum: CONTENT_KINDS },
+    uniqueItems: true
+  },
+  indent: {
+    type: 'integer',
+    minimum: 0
+  }
+}
+
+// 与配置文件一致，preset 与 extends 不能同时配置
+const EXCLUSIVE_OPTIONS = { required: ['preset', 'extends'] }
+
 export default {
   meta: {
     type: 'suggestion', // `problem`, `suggestion`, or `layout`
@@ -237,361 +407,666 @@ export default {
       url: null // URL to the documentation page for this rule
     },
     fixable: 'code', // Or `code` or `whitespace`
-    schema: [], // Add a schema if the rule has options
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          ...OPTION_PROPERTIES,
+          overrides: {
+            type: 'object',
+            properties: Object.fromEntries(OVERRIDE_TARGETS.map((target) => [target, {
+              type: 'object',
+              properties: OPTION_PROPERTIES,
+              not: EXCLUSIVE_OPTIONS,
+              additionalProperties: false
+            }])),
+            additionalProperties: false
+          }
+        },
+        not: EXCLUSIVE_OPTIONS,
+        additionalProperties: false
+      }
+    ],
     messages: { // Add messageId and message
-      cssSort: 'css属性顺序错误',
-      emptyLine: 'css属性之间不允许存在空行',
-      inconsistentIndent: 'css属性缩进不一致',
+      cssSort: 'css属性顺序错误：{{property}} 应位于 {{previous}} 之前',
+      emptyLine: 'css属性之间不允许存在空行：{{previous}} 与 {{property}} 属于同一分组',
+      extraEmptyLine: 'css属性分组之间只允许一个空行：{{property}} 与 {{previous}} 属于不同分组',
+      unexpectedEmptyLine: 'css属性之间不允许存在空行：{{property}} 之前不需要分组空行',
+      missingEmptyLine: 'css属性分组之间需要一个空行：{{property}} 与 {{previous}} 属于不同分组',
+      inconsistentIndent: 'css缩进错误：应为 {{expected}} 个空格，实际为 {{actual}} 个',
+      contentOrder: 'css内容顺序错误：{{kind}} 应位于 {{previous}} 之前',
+      shorthandOverride: 'css属性 {{longhand}} 会被之后的简写属性 {{shorthand}} 覆盖',
+      duplicateProperty: 'css属性 {{property}} 重复（首次出现于第 {{line}} 行）',
+      invalidConfig: 'css属性顺序配置错误（{{source}}）：{{problems}}',
+      unusedDisableDirective: '未使用的 {{directive}} 注释',
+      parsingError: 'css解析失败：{{message}}',
     }
   },
 
   create (context) {
-    const styles = getStyleContexts(context)
-      .filter((style) => !style.invalid)
-    if (!styles.length) {
-      return {}
-    }
-    return {
-      'Program:exit' () {
-        for (const style of styles) {
-          const styleArr = style.cssText.split('\r\n')
-          
-          // 分析每一行的类型和缩进
-          const lineInfos = styleArr.map((line, index) => {
-            const trimmed = line.trim()
-            const indent = line.match(/^(\s*)/)[1].length
-            return {
-              index,
-              text: line,
-              trimmed,
-              indent,
-              isEmpty: trimmed === '',
-              isComment: trimmed.startsWith('//') || trimmed.startsWith('/*'),
-              isSelector: trimmed.includes('{') && !trimmed.endsWith('}'),
-              isCloseBrace: trimmed === '}' || trimmed.startsWith('}'),
-              isProperty: trimmed.includes(':') && !trimmed.includes('{') && !trimmed.startsWith('//'),
-              isPropertyContinuation: false, // 标记是否为属性值的续行
-              parentPropertyIndex: -1 // 记录续行所属的属性索引
+    const filename = getPhysicalFilename(context)
+
+    // 按样式块生效的配置创建检查函数，不同语言及 scoped / module 的样式块可使用不同的 overrides
+    function createStyleChecker (config) {
+      const {
+        indent: indentUnit,
+        allowFallbacks,
+        contentOrder
+      } = config
+      const propertySorter = createSorter(config)
+      const descriptorSorters = new Map()
+      // 节点内的属性使用的排序：样式规则使用属性顺序，描述符 at 规则（如 @font-face）使用描述符顺序
+      // 其余 at 规则（如 @media、@supports、@container、@layer）与所在的规则相同
+      function getSorter (node, sorter) {
+        if (node.type !== 'VCSSAtRule') {
+          return propertySorter
+        }
+        const descriptorOrder = getDescriptorOrder(node.name)
+        if (!descriptorOrder) {
+          return sorter
+        }
+        if (!descriptorSorters.has(descriptorOrder)) {
+          descriptorSorters.set(descriptorOrder, createSorter({ order: descriptorOrder, unspecified: 'ignore' }))
+        }
+        return descriptorSorters.get(descriptorOrder)
+      }
+      // 找出顺序错误的节点，rank 为 -1 的节点不参与排序
+      function findUnorderedNodes (nodes, getRank) {
+        const unordered = []
+        let previous = null
+        nodes.filter((node) => getRank(node) !== -1).forEach((node) => {
+          if (previous && getRank(node) < getRank(previous)) {
+            unordered.push({ node, previous })
+          } else {
+            previous = node
+          }
+        })
+        return unordered
+      }
+
+      // 按 rank 排序后的节点，rank 为 -1 的节点保持原位
+      function reorderNodes (nodes, getRank) {
+        const sorted = nodes
+          .filter((node) => getRank(node) !== -1)
+          .sort((a, b) => getRank(a) - getRank(b))
+        let sortedIndex = 0
+        return nodes.map((node) => getRank(node) === -1 ? node : sorted[sortedIndex++])
+      }
+
+      // 可排序的属性声明，scss、sass、stylus 变量及 less 的 &:extend 不参与排序
+      function isSortableDeclaration (node) {
+        return node.type === 'VCSSDeclarationProperty' && !isVariableDeclaration(node) && !isLessExtend(node)
+      }
+
+      // 连续的属性声明为一组，其他节点（嵌套规则、at 规则、变量）将其分隔，属性不会越过这些节点移动
+      function getDeclarationRuns (container) {
+        const runs = []
+        let run = []
+        container.nodes.forEach((node) => {
+          if (isSortableDeclaration(node)) {
+            run.push(node)
+            return
+          }
+          if (run.length) {
+            runs.push(run)
+          }
+          run = []
+        })
+        if (run.length) {
+          runs.push(run)
+        }
+        return runs
+      }
+
+      return function checkStyle (style) {
+        const sourceCode = getSourceCode(context)
+        const directives = createDisableDirectives(style)
+        const isFrozen = (node) => directives.isDisabled(node.loc.start.line)
+        const lineEnding = getLineEnding(style.cssText)
+        const comments = [...style.cssNode.comments].sort((a, b) => a.range[0] - b.range[0])
+        const errArr = []
+
+        // 解析失败的内容无法检查，报告解析错误以免问题被忽略
+        style.cssNode.errors.forEach((error) => {
+          context.report({
+            loc: error.loc,
+            messageId: 'parsingError',
+            data: { message: error.message.trim() },
+          })
+        })
+
+        const getLineText = (line) => sourceCode.lines[line - 1]
+        const getIndent = (line) => getLineText(line).match(/^\s*/)[0].length
+        const getLineStartIndex = (line) => sourceCode.getIndexFromLoc({ line, column: 0 })
+        // 节点之前只有空白时，节点位于行首
+        const isLineStart = (node) => !getLineText(node.loc.start.line).slice(0, node.loc.start.column).trim()
+        const isClosingLine = (text) => /^[)}];?$/.test(text.trim())
+
+        // 报告的位置：属性名、整行，或行首的缩进（没有缩进时为整行）
+        const getPropertyLoc = (decl) => ({
+          start: decl.loc.start,
+          end: { line: decl.loc.start.line, column: decl.loc.start.column + decl.property.length }
+        })
+        const getLineLoc = (line) => ({
+          start: { line, column: 0 },
+          end: { line, column: getLineText(line).length }
+        })
+        const createIndentError = (line, indent, fix) => ({
+          loc: getIndent(line) ? { start: { line, column: 0 }, end: { line, column: getIndent(line) } } : getLineLoc(line),
+          msgId: 'inconsistentIndent',
+          data: { expected: indent, actual: getIndent(line) },
+          fix
+        })
+
+        // 只替换行首的空白
+        const createIndentFix = (line, indent) => (fixer) => {
+          const start = getLineStartIndex(line)
+          return fixer.replaceTextRange([start, start + getIndent(line)], ' '.repeat(indent))
+        }
+
+        // 属性值跨多行时，后续各行应有的缩进：右括号行与属性声明对齐，其余行使用值缩进
+        const getContinuationIndents = (decl, indent) => {
+          const result = []
+          for (let line = decl.loc.start.line + 1; line <= decl.loc.end.line; line++) {
+            const text = getLineText(line)
+            if (text.trim()) {
+              result.push({ line, indent: isClosingLine(text) ? indent : indent + indentUnit })
             }
+          }
+          return result
+        }
+
+        // 排序后属性的文本，分号跟随原位置，多行属性值重新缩进
+        const getDeclarationText = (decl, withSemicolon, indent) => {
+          const raw = sourceCode.text.slice(...decl.range)
+          if (isFrozen(decl)) {
+            return raw
+          }
+          const parts = raw.replace(/\s*;$/, '').split(/(\r\n|\r|\n)/)
+          const text = parts.map((part, index) => {
+            // 奇数下标为换行符，第一段为属性声明所在行
+            if (index % 2 === 1 || index === 0 || !part.trim()) {
+              return index % 2 === 1 || index === 0 ? part : ''
+            }
+            const trimmed = part.trim()
+            return ' '.repeat(isClosingLine(trimmed) ? indent : indent + indentUnit) + trimmed
+          }).join('')
+          return withSemicolon && !isNestedProperties(decl) ? `${text};` : text
+        }
+
+        // 节点连同其注释：紧邻其上方、独占行的注释（中间无空行），以及同一行内紧随其后的注释
+        // 禁用注释不随节点移动；last 为一起移动的最后一个节点，如 @if 之后的 @else
+        const getNodeUnit = (node, last = node) => {
+          const isAttachable = (comment) => !DIRECTIVE_PATTERN.test(comment.text.trim())
+          const leading = []
+          let next = node
+          for (let index = lodash.findLastIndex(comments, (comment) => comment.range[1] <= node.range[0]); index >= 0; index--) {
+            const comment = comments[index]
+            const between = sourceCode.text.slice(comment.range[1], next.range[0])
+            if (!/^[^\S\r\n]*(\r\n|\r|\n)[^\S\r\n]*$/.test(between) || !isLineStart(comment) || !isAttachable(comment)) {
+              break
+            }
+            leading.unshift(comment)
+            next = comment
+          }
+          const trailing = comments.find((comment) => comment.range[0] >= last.range[1] &&
+            comment.loc.start.line === last.loc.end.line &&
+            !sourceCode.text.slice(last.range[1], comment.range[0]).trim() &&
+            isAttachable(comment))
+          const first = leading[0] || node
+          const end = trailing || last
+          return {
+            node,
+            last,
+            leading,
+            trailing,
+            range: [first.range[0], end.range[1]],
+            loc: { start: first.loc.start, end: end.loc.end }
+          }
+        }
+
+        // 范围内的文本，应用其中包含的修改（如嵌套规则内的修复）
+        const applyEdits = ([start, end], edits) => {
+          let text = ''
+          let position = start
+          lodash.sortBy(edits.filter(({ range }) => start <= range[0] && range[1] <= end), ({ range }) => range[0])
+            .forEach(({ range, text: editText }) => {
+              text += sourceCode.text.slice(position, range[0]) + editText
+              position = range[1]
+            })
+          return text + sourceCode.text.slice(position, end)
+        }
+
+        // 节点自身的文本，属性声明重新缩进，其他节点应用 edits 中的修改，缺少分号时按需补上
+        const getNodeText = (node, withSemicolon, indent, last = node, edits = []) => {
+          if (node.type === 'VCSSDeclarationProperty') {
+            return getDeclarationText(node, withSemicolon, indent)
+          }
+          const text = applyEdits([node.range[0], last.range[1]], edits)
+          return withSemicolon && !/[;}]$/.test(text) ? `${text};` : text
+        }
+
+        // 节点连同其注释的文本，注释之后的节点另起一行时使用统一的缩进
+        const getUnitText = (unit, withSemicolon, indent, edits = []) => {
+          if (isFrozen(unit.node)) {
+            return applyEdits(unit.range, edits)
+          }
+          let text = ''
+          unit.leading.forEach((comment, index) => {
+            const next = unit.leading[index + 1] || unit.node
+            const between = sourceCode.text.slice(comment.range[1], next.range[0])
+            text += sourceCode.text.slice(...comment.range) + between.replace(/[^\S\r\n]*$/, ' '.repeat(indent))
           })
-          
-          // 识别多行属性值
-          for (let i = 0; i < lineInfos.length; i++) {
-            const lineInfo = lineInfos[i]
-            if (lineInfo.isProperty) {
-              // 检查属性值是否完整（是否以分号结尾）
-              if (!lineInfo.trimmed.endsWith(';') && !lineInfo.trimmed.endsWith('}')) {
-                // 标记后续行为属性值的续行
-                let j = i + 1
-                while (j < lineInfos.length) {
-                  const nextLine = lineInfos[j]
-                  if (nextLine.isEmpty || nextLine.isComment) {
-                    j++
-                    continue
-                  }
-                  
-                  // 标记为续行
-                  nextLine.isPropertyContinuation = true
-                  nextLine.isProperty = false
-                  nextLine.parentPropertyIndex = i
-                  
-                  // 如果这行以分号或右括号加分号，说明属性值结束
-                  if (nextLine.trimmed.endsWith(';') || nextLine.trimmed.match(/\);?\s*$/)) {
-                    break
-                  }
-                  j++
-                }
-              }
+          text += getNodeText(unit.node, withSemicolon, indent, unit.last, edits)
+          if (unit.trailing) {
+            text += sourceCode.text.slice(unit.last.range[1], unit.trailing.range[1])
+          }
+          return text
+        }
+
+        // 两个节点之间的内容，line 为其起始行
+        const getGap = (prev, next) => ({ text: sourceCode.text.slice(prev.range[1], next.range[0]), line: prev.loc.end.line })
+
+        // 节点之前的内容另起一行时，最后一行的空白改为统一的缩进，被禁用注释覆盖的节点保持原样
+        const getIndentedGapText = (gap, nextNode, indent) => {
+          if (isFrozen(nextNode) || !/\r\n|\r|\n/.test(gap.text)) {
+            return gap.text
+          }
+          return gap.text.replace(/[^\S\r\n]*$/, ' '.repeat(indent))
+        }
+
+        // 两个属性之间的内容：空行按分组重新生成，注释等内容及被禁用注释覆盖的空行原样保留
+        // 保留的每一行沿用原有的换行符，新增的空行使用样式块中最常用的换行符
+        // sorter 为 null 时只去掉空行，用于原本位于属性之间、移到其他节点旁的内容
+        const getGapText = (gap, prevDecl, nextDecl, indent, sorter) => {
+          // 偶数下标为各行内容，奇数下标为该行之后的换行符
+          const parts = gap.text.split(/(\r\n|\r|\n)/)
+          if (parts.length === 1) {
+            return gap.text
+          }
+          const lines = []
+          for (let index = 2; index < parts.length - 1; index += 2) {
+            lines.push({ text: parts[index], eol: parts[index + 1], line: gap.line + index / 2 })
+          }
+          const kept = lines.filter(({ text, line }) => text.trim() || directives.isDisabled(line))
+          // 被禁用注释覆盖的内容保持原样，不补充分组之间的空行
+          const isDisabledGap = isFrozen(prevDecl) || isFrozen(nextDecl) || lines.some(({ line }) => directives.isDisabled(line))
+          if (!isDisabledGap && sorter?.needEmptyLineBetween(prevDecl, nextDecl) && !kept.some(({ text }) => !text.trim())) {
+            kept.unshift({ text: '', eol: lineEnding })
+          }
+          const tail = isFrozen(nextDecl) ? parts[parts.length - 1] : ' '.repeat(indent)
+          return parts[0] + parts[1] + kept.map(({ text, eol }) => text + eol).join('') + tail
+        }
+
+        // 一组属性共用一个修复：排序后的属性连同其注释依次填入原属性的位置，同时修正缩进与空行
+        const createRunFix = (run, sorted, indent, sorter) => (fixer) => {
+          const units = run.map((decl) => getNodeUnit(decl))
+          const unitOf = new Map(units.map((unit) => [unit.node, unit]))
+          const first = units[0]
+          const last = units[units.length - 1]
+          const start = isLineStart(first) ? getLineStartIndex(first.loc.start.line) : first.range[0]
+          let text = ''
+          if (isLineStart(first)) {
+            text = isFrozen(first.node) ? sourceCode.text.slice(start, first.range[0]) : ' '.repeat(indent)
+          }
+          sorted.forEach((decl, index) => {
+            // 分号跟随原位置，sass、stylus 中分号可省略，保持属性自身的写法
+            // 嵌套属性块之后没有分号，移到该位置的属性仍需要分号
+            const slot = isIndentedSyntax(style.lang) ? decl : run[index]
+            const withSemicolon = sourceCode.text.slice(...slot.range).endsWith(';') || isNestedProperties(slot)
+            text += getUnitText(unitOf.get(decl), withSemicolon, indent)
+            if (index < sorted.length - 1) {
+              const gap = getGap(units[index], units[index + 1])
+              text += getGapText(gap, decl, sorted[index + 1], indent, sorter)
             }
+          })
+          return fixer.replaceTextRange([start, last.range[1]], text)
+        }
+
+        // 修复对应的修改，同一个修复只计算一次
+        const fixEdits = new Map()
+        const getFixEdit = (fix) => {
+          if (!fixEdits.has(fix)) {
+            fixEdits.set(fix, fix({ replaceTextRange: (range, text) => ({ range, text }) }))
+          }
+          return fixEdits.get(fix)
+        }
+
+        // 内容顺序错误的块共用一个修复：按 contentOrder 排列节点，再对排列后连续的属性排序
+        // 节点连同其注释及之前的空白一起移动，原本位于开头的节点移走时，使用移到开头的节点原有的空白
+        // 嵌套规则内的修复（edits）一并应用，块内属性的排序、缩进与空行重新生成，一次即可全部完成
+        const createContainerFix = (units, ordered, indent, sorter, edits) => (fixer) => {
+          const unitOf = new Map(units.map((unit) => [unit.node, unit]))
+          const sequence = []
+          let run = []
+          const flushRun = () => {
+            const { sortedDeclarations } = sorter.sortDeclarations(run.map((unit) => unit.node), isFrozen)
+            sequence.push(...sortedDeclarations.map((decl) => unitOf.get(decl)))
+            run = []
           }
-          
-          // 找出所有CSS属性块
-          const propertyBlocks = []
-          let currentBlock = null
-          const indentUnit = 2
-          
-          // 先计算每个选择器的正确缩进
-          let tempIndentStack = [0]
-          const correctIndents = new Map() // 存储每行的正确缩进
-          
-          lineInfos.forEach((lineInfo) => {
-            if (lineInfo.isSelector) {
-              const correctIndent = tempIndentStack[tempIndentStack.length - 1]
-              correctIndents.set(lineInfo.index, correctIndent)
-              tempIndentStack.push(correctIndent + indentUnit)
-            } else if (lineInfo.isCloseBrace) {
-              tempIndentStack.pop()
-              const correctIndent = tempIndentStack[tempIndentStack.length - 1] || 0
-              correctIndents.set(lineInfo.index, correctIndent)
+          ordered.forEach((unit) => {
+            if (isSortableDeclaration(unit.node)) {
+              run.push(unit)
+              return
             }
+            flushRun()
+            sequence.push(unit)
           })
-          
-          lineInfos.forEach((lineInfo) => {
-            if (lineInfo.isSelector) {
-              // 遇到选择器，准备收集下一个块的属性
-              if (currentBlock && currentBlock.properties.length > 0) {
-                propertyBlocks.push(currentBlock)
-              }
-              const correctSelectorIndent = correctIndents.get(lineInfo.index) || 0
-              currentBlock = {
-                selectorIndex: lineInfo.index,
-                selectorIndent: lineInfo.indent,
-                correctSelectorIndent: correctSelectorIndent,
-                blockIndent: correctSelectorIndent + indentUnit, // 使用正确的选择器缩进计算
-                properties: [],
-                startIndex: lineInfo.index + 1
-              }
-            } else if (currentBlock && lineInfo.isProperty) {
-              // 收集完整的多行属性
-              const propertyLines = [lineInfo]
-              
-              // 如果属性值跨多行，收集所有续行
-              if (!lineInfo.trimmed.endsWith(';') && !lineInfo.trimmed.endsWith('}')) {
-                let j = lineInfo.index + 1
-                while (j < lineInfos.length && lineInfos[j].isPropertyContinuation) {
-                  propertyLines.push(lineInfos[j])
-                  if (lineInfos[j].trimmed.endsWith(';') || lineInfos[j].trimmed.match(/\);?\s*$/)) {
-                    break
-                  }
-                  j++
-                }
-              }
-              
-              currentBlock.properties.push({
-                ...lineInfo,
-                lines: propertyLines,
-                endIndex: propertyLines[propertyLines.length - 1].index
-              })
-            } else if (lineInfo.isCloseBrace && currentBlock) {
-              if (currentBlock.properties.length > 0) {
-                currentBlock.endIndex = lineInfo.index
-                propertyBlocks.push(currentBlock)
+          flushRun()
+
+          // inRun：原本位于两个属性之间，其中的空行已由属性之间的空行检查处理
+          const gaps = new Map(units.map((unit, index) => {
+            const previous = units[index - 1]
+            return [unit, previous
+              ? { ...getGap(previous, unit), inRun: isSortableDeclaration(previous.node) && isSortableDeclaration(unit.node) }
+              : null]
+          }))
+          gaps.set(units[0], gaps.get(sequence[0]))
+          const first = units[0]
+          const start = isLineStart(first) ? getLineStartIndex(first.loc.start.line) : first.range[0]
+          let text = ''
+          if (isLineStart(first)) {
+            text = isFrozen(first.node) ? sourceCode.text.slice(start, first.range[0]) : ' '.repeat(indent)
+          }
+          sequence.forEach((unit, index) => {
+            const previous = sequence[index - 1]
+            if (previous) {
+              const gap = gaps.get(unit)
+              if (isSortableDeclaration(previous.node) && isSortableDeclaration(unit.node)) {
+                text += getGapText(gap, previous.node, unit.node, indent, sorter)
+              } else {
+                text += gap.inRun ? getGapText(gap, previous.node, unit.node, indent, null) : getIndentedGapText(gap, unit.node, indent)
               }
-              currentBlock = null
             }
+            const withSemicolon = /;$/.test(sourceCode.text.slice(unit.node.range[0], unit.last.range[1])) ||
+              (index < sequence.length - 1 && !isIndentedSyntax(style.lang))
+            text += getUnitText(unit, withSemicolon, indent, unit.node.type === 'VCSSDeclarationProperty' ? [] : edits)
           })
-          
-          const errArr = []
-          
-          // 检测每个块内属性的缩进一致性
-          propertyBlocks.forEach(block => {
-            if (block.properties.length > 0) {
-              const expectedIndent = block.blockIndent
-              block.properties.forEach((prop) => {
-                // 检查属性声明行的缩进
-                if (prop.indent !== expectedIndent) {
-                  errArr.push({
-                    index: prop.index,
-                    msgId: 'inconsistentIndent'
-                  })
-                }
-                
-                // 检查多行属性值内部的缩进
-                if (prop.lines && prop.lines.length > 1) {
-                  const valueIndent = expectedIndent + indentUnit
-                  for (let i = 1; i < prop.lines.length; i++) {
-                    const line = prop.lines[i]
-                    // 跳过空行
-                    if (line.isEmpty) continue
-                    
-                    // 判断是否为结束行（以 ); 或 ) 结尾）
-                    const isClosingLine = line.trimmed.match(/^\);?\s*$/)
-                    
-                    if (isClosingLine) {
-                      // 右括号行应该与属性声明行对齐
-                      if (line.indent !== expectedIndent) {
-                        errArr.push({
-                          index: line.index,
-                          msgId: 'inconsistentIndent'
-                        })
-                      }
-                    } else {
-                      // 属性值的内容行使用 valueIndent
-                      if (line.indent !== valueIndent) {
-                        errArr.push({
-                          index: line.index,
-                          msgId: 'inconsistentIndent'
-                        })
-                      }
-                    }
-                  }
-                }
-              })
+          return fixer.replaceTextRange([start, units[units.length - 1].range[1]], text)
+        }
+
+        // 按 contentOrder 检查样式规则内各类内容的顺序，未配置的类型与被禁用注释覆盖的节点保持原位
+        // @else 跟随之前的 @if 一起移动
+        const checkContentOrder = (container, indent, sorter) => {
+          const heads = []
+          const lastOf = new Map()
+          container.nodes.forEach((node) => {
+            if (heads.length && node.type === 'VCSSAtRule' && node.name === 'else') {
+              lastOf.set(heads[heads.length - 1], node)
+            } else {
+              heads.push(node)
+            }
+          })
+          const getKindRank = (node) => contentOrder.indexOf(getContentKind(node))
+          const getRank = (node) => isFrozen(node) ? -1 : getKindRank(node)
+          // 禁用注释阻止了节点移动时视为已使用
+          reorderNodes(heads, getKindRank).forEach((node, index) => {
+            if (node !== heads[index] && isFrozen(heads[index])) {
+              directives.suppress(heads[index].loc.start.line)
+            }
+          })
+          const unordered = findUnorderedNodes(heads, getRank)
+          if (!unordered.length) {
+            return
+          }
+
+          const units = heads.map((node) => getNodeUnit(node, lastOf.get(node)))
+          const unitOf = new Map(units.map((unit) => [unit.node, unit]))
+          const first = units[0]
+          const range = [
+            isLineStart(first) ? getLineStartIndex(first.loc.start.line) : first.range[0],
+            units[units.length - 1].range[1]
+          ]
+          // 块内已有的修复由该修复取代，其中未被禁用的修改在嵌套规则内应用
+          const innerErrors = errArr.filter((err) => {
+            if (!err.fix) {
+              return false
+            }
+            const edit = getFixEdit(err.fix)
+            return range[0] <= edit.range[0] && edit.range[1] <= range[1]
+          })
+          const edits = lodash.uniq(innerErrors
+            .filter((err) => !directives.isDisabled(err.loc.start.line))
+            .map((err) => getFixEdit(err.fix)))
+          const ordered = reorderNodes(heads, getRank).map((node) => unitOf.get(node))
+          const fix = createContainerFix(units, ordered, indent, sorter, edits)
+          innerErrors.forEach((err) => {
+            err.fix = fix
+          })
+          unordered.forEach(({ node, previous }) => {
+            errArr.push({
+              loc: node.loc,
+              msgId: 'contentOrder',
+              data: {
+                kind: getContentKind(node),
+                previous: getContentKind(previous),
+              },
+              fix
+            })
+          })
+        }
+
+        const checkRun = (run, indent, sorter) => {
+          const runErrors = []
+
+          // 检查属性声明及多行属性值的缩进
+          run.forEach((decl) => {
+            if (isLineStart(decl) && getIndent(decl.loc.start.line) !== indent) {
+              runErrors.push(createIndentError(decl.loc.start.line, indent))
             }
+            getContinuationIndents(decl, indent)
+              .filter((item) => getIndent(item.line) !== item.indent)
+              .forEach((item) => runErrors.push(createIndentError(item.line, item.indent)))
           })
-          
-          // 检测选择器和括号的缩进
-          lineInfos.forEach((lineInfo) => {
-            if (lineInfo.isEmpty || lineInfo.isComment) return
-            
-            if (lineInfo.isSelector || lineInfo.isCloseBrace) {
-              const expectedIndent = correctIndents.get(lineInfo.index)
-              if (expectedIndent !== undefined && lineInfo.indent !== expectedIndent) {
-                errArr.push({
-                  index: lineInfo.index,
-                  msgId: 'inconsistentIndent'
-                })
+
+          // 检测属性之间的空行，分组之间保留一个空行，其余空行均不允许
+          run.forEach((decl, idx) => {
+            if (idx === run.length - 1) {
+              return
+            }
+            const next = run[idx + 1]
+            const data = { property: next.property, previous: decl.property }
+            const needEmptyLine = sorter.needEmptyLineBetween(decl, next)
+            let allowedEmptyLines = needEmptyLine ? 1 : 0
+            // 按两个属性的分组关系说明空行不被允许的原因
+            const emptyLineMsgId = needEmptyLine
+              ? 'extraEmptyLine'
+              : sorter.isSameGroup(decl, next) ? 'emptyLine' : 'unexpectedEmptyLine'
+            if (next.loc.start.line === decl.loc.end.line) {
+              return
+            }
+            for (let line = decl.loc.end.line + 1; line < next.loc.start.line; line++) {
+              if (getLineText(line).trim()) {
+                continue
               }
+              if (allowedEmptyLines > 0) {
+                allowedEmptyLines--
+                continue
+              }
+              runErrors.push({ loc: getLineLoc(line), msgId: emptyLineMsgId, data })
+            }
+            if (allowedEmptyLines > 0) {
+              runErrors.push({ loc: getPropertyLoc(next), msgId: 'missingEmptyLine', data })
             }
           })
-          
-          // 检测属性之间的空行（排除属性内部的续行）
-          propertyBlocks.forEach(block => {
-            block.properties.forEach((prop, idx) => {
-              if (idx < block.properties.length - 1) {
-                const currentLineEndIndex = prop.endIndex || prop.index
-                const nextLineIndex = block.properties[idx + 1].index
-                
-                if (nextLineIndex - currentLineEndIndex > 1) {
-                  for (let i = currentLineEndIndex + 1; i < nextLineIndex; i++) {
-                    const lineContent = styleArr[i].trim()
-                    if (lineContent === '' && !lineInfos[i].isPropertyContinuation) {
-                      errArr.push({
-                        index: i,
-                        msgId: 'emptyLine'
-                      })
-                    }
-                  }
-                }
+
+          // 禁用注释阻止了属性移动时视为已使用，只有存在被禁用的属性时才需要不考虑禁用再排序一次
+          if (run.some(isFrozen)) {
+            sorter.sortDeclarations(run, () => false).sortedDeclarations.forEach((decl, idx) => {
+              if (decl !== run[idx] && isFrozen(run[idx])) {
+                directives.suppress(run[idx].loc.start.line)
               }
             })
+          }
+          const { sortedDeclarations, unordered } = sorter.sortDeclarations(run, isFrozen)
+          unordered.forEach(({ decl, previous }) => {
+            runErrors.push({
+              loc: getPropertyLoc(decl),
+              msgId: 'cssSort',
+              data: { property: decl.property, previous: previous.property }
+            })
           })
-          
-          // 对每个块的属性进行排序
-          const sortedBlocks = propertyBlocks.map(block => {
-            const sorted = [...block.properties]
-            for (let i = 0; i < sorted.length; i++) {
-              for (let j = 1; j < sorted.length - i; j++) {
-                const curProp = sorted[j].trimmed.split(':')[0].trim()
-                const lastProp = sorted[j - 1].trimmed.split(':')[0].trim()
-                const curIndex = propertyGroups.findIndex(property => property === curProp)
-                const lastIndex = propertyGroups.findIndex(property => property === lastProp)
-                
-                if (curIndex !== -1 && lastIndex !== -1 && curIndex < lastIndex) {
-                  errArr.push({
-                    index: sorted[j].index,
-                    msgId: 'cssSort'
-                  });
-                  [sorted[j - 1], sorted[j]] = [sorted[j], sorted[j - 1]]
-                }
-              }
+
+          const fix = createRunFix(run, sortedDeclarations, indent, sorter)
+          errArr.push(...runErrors.map((err) => ({ ...err, fix })))
+        }
+
+        // indent 为容器内子节点应有的缩进，sorter 为容器内属性使用的排序
+        // inRule 表示容器是样式规则或位于样式规则内，只检查这些容器的内容顺序，顶层内容的顺序会影响层叠结果
+        const checkContainer = (container, indent, sorter, inRule) => {
+          container.nodes.forEach((node) => {
+            const isNested = node.type !== 'VCSSDeclarationProperty' && node.nodes?.length
+            // 属性声明的缩进由其所在的一组属性检查
+            if (!isSortableDeclaration(node) && isLineStart(node) && getIndent(node.loc.start.line) !== indent) {
+              errArr.push(createIndentError(node.loc.start.line, indent, createIndentFix(node.loc.start.line, indent)))
+            }
+            if (!isNested) {
+              return
+            }
+            checkContainer(node, indent + indentUnit, getSorter(node, sorter), inRule || node.type === 'VCSSStyleRule')
+            // 独占一行的右括号与选择器对齐
+            const closeLine = node.loc.end.line
+            const closeColumn = node.loc.end.column - 1
+            if (
+              closeLine !== node.loc.start.line &&
+              sourceCode.text[node.range[1] - 1] === '}' &&
+              !getLineText(closeLine).slice(0, closeColumn).trim() &&
+              getIndent(closeLine) !== indent
+            ) {
+              errArr.push(createIndentError(closeLine, indent, createIndentFix(closeLine, indent)))
+            }
+          })
+          if (container.type === 'VCSSStyleSheet') {
+            return
+          }
+
+          getDeclarationRuns(container).forEach((run) => checkRun(run, indent, sorter))
+
+          // 检测同一块内重复的属性，只报告不修复
+          // allowFallbacks 时允许紧邻且值不同的重复属性，如 display: -webkit-box; display: flex，排序时二者保持原有顺序
+          const getValue = (decl) => `${decl.value.trim()}${decl.important ? ' !important' : ''}`
+          const firstDeclarations = new Map()
+          container.nodes.forEach((decl, idx) => {
+            if (!isSortableDeclaration(decl) || isNestedProperties(decl)) {
+              return
+            }
+            const key = getPropertyName(decl.property)
+            const first = firstDeclarations.get(key)
+            if (!first) {
+              firstDeclarations.set(key, decl)
+              return
+            }
+            const previous = container.nodes[idx - 1]
+            const isFallback = allowFallbacks &&
+              isSortableDeclaration(previous) &&
+              getPropertyName(previous.property) === key &&
+              getValue(previous) !== getValue(decl)
+            if (!isFallback) {
+              errArr.push({
+                loc: getPropertyLoc(decl),
+                msgId: 'duplicateProperty',
+                data: { property: decl.property, line: first.loc.start.line },
+                fix: null
+              })
             }
-            return { ...block, sortedProperties: sorted }
           })
 
-          if (errArr.length) {
-            const uniqueErrArr = lodash.uniqBy(errArr, item => `${item.index}-${item.msgId}`)
-            uniqueErrArr.map(err => {
-              context.report({
-                node: style.cssNode,
-                messageId: err.msgId,
-                loc: {
-                  start: { line: style.cssNode.loc.start.line + err.index, column: 0 },
-                  end: { line: style.cssNode.loc.start.line + err.index + 1, column: 0 }
-                },
-                fix (fixer) {
-                  // 重建样式文本，保持原有结构
-                  const result = []
-                  const processedLines = new Set()
-                  
-                  // 记录哪些行是需要被替换的属性
-                  const blockMap = new Map()
-                  sortedBlocks.forEach(block => {
-                    blockMap.set(block.selectorIndex, block)
-                    block.properties.forEach(prop => {
-                      processedLines.add(prop.index)
-                      // 标记多行属性的所有行
-                      if (prop.lines && prop.lines.length > 1) {
-                        prop.lines.forEach(line => {
-                          processedLines.add(line.index)
-                        })
-                      }
-                    })
-                  })
-                  
-                  // 计算每行的正确缩进
-                  let currentIndentStack = [0]
-                  
-                  styleArr.forEach((line, index) => {
-                    const lineInfo = lineInfos[index]
-                    
-                    // 如果这行是被排序的属性或属性续行，跳过
-                    if (processedLines.has(index)) {
-                      return
-                    }
-                    
-                    // 根据行类型确定正确的缩进
-                    let correctIndent = lineInfo.indent
-                    
-                    if (lineInfo.isSelector) {
-                      correctIndent = currentIndentStack[currentIndentStack.length - 1]
-                      const correctedLine = ' '.repeat(correctIndent) + lineInfo.trimmed
-                      result.push(correctedLine)
-                      currentIndentStack.push(correctIndent + indentUnit)
-                      
-                      // 在选择器后插入排序后的属性（包括多行属性）
-                      if (blockMap.has(index)) {
-                        const block = blockMap.get(index)
-                        const propIndent = ' '.repeat(block.blockIndent)
-                        const valueIndent = ' '.repeat(block.blockIndent + indentUnit)
-                        
-                        block.sortedProperties.forEach(prop => {
-                          if (prop.lines && prop.lines.length > 1) {
-                            // 多行属性：第一行使用属性缩进，后续行根据内容使用不同缩进
-                            prop.lines.forEach((line, idx) => {
-                              if (idx === 0) {
-                                result.push(propIndent + line.trimmed)
-                              } else {
-                                // 判断是否为结束行
-                                const isClosingLine = line.trimmed.match(/^\);?\s*$/)
-                                if (isClosingLine) {
-                                  // 右括号行与属性声明行对齐
-                                  result.push(propIndent + line.trimmed)
-                                } else {
-                                  // 其他续行使用值缩进
-                                  result.push(valueIndent + line.trimmed)
-                                }
-                              }
-                            })
-                          } else {
-                            // 单行属性
-                            result.push(propIndent + prop.trimmed)
-                          }
-                        })
-                      }
-                    } else if (lineInfo.isCloseBrace) {
-                      currentIndentStack.pop()
-                      correctIndent = currentIndentStack[currentIndentStack.length - 1] || 0
-                      const correctedLine = ' '.repeat(correctIndent) + lineInfo.trimmed
-                      result.push(correctedLine)
-                    } else if (lineInfo.isEmpty || lineInfo.isComment) {
-                      // 空行和注释保持原样
-                      result.push(line)
-                    } else {
-                      // 其他行（如果有的话）
-                      result.push(line)
-                    }
-                  })
-                  
-                  // 移除首尾的空行
-                  while (result.length > 0 && result[0].trim() === '') {
-                    result.shift()
-                  }
-                  while (result.length > 0 && result[result.length - 1].trim() === '') {
-                    result.pop()
-                  }
-                  
-                  // 确保首尾有换行符
-                  const finalResult = result.length > 0 ? '\r\n' + result.join('\r\n') + '\r\n' : ''
-                  
-                  return fixer.replaceTextRange(
-                    [style.cssNode.range[0] + 1, style.cssNode.range[1] - 1],
-                    finalResult
-                  )
-                }
+          // 检测被之后的简写属性覆盖的属性，调整顺序会改变样式，只报告不修复
+          // 从后向前检查，记录每个属性名最近的一次声明，只需比较展开后包含相同属性的属性
+          const declarations = container.nodes.filter((node) => isSortableDeclaration(node) && !isNestedProperties(node))
+          const nearestDeclarations = new Map()
+          const nearestImportantDeclarations = new Map()
+          const propertiesByLonghand = new Map()
+          lodash.forEachRight(declarations, (decl) => {
+            const longhand = getPropertyName(decl.property)
+            const [firstLonghand] = getLonghands(longhand)
+            const shorthandDecl = lodash.minBy(
+              [...propertiesByLonghand.get(firstLonghand) || []]
+                .filter((property) => isShorthandOf(property, longhand))
+                // 带 !important 的属性只会被之后同样带 !important 的简写属性覆盖
+                .map((property) => (decl.important ? nearestImportantDeclarations : nearestDeclarations).get(property))
+                .filter(Boolean),
+              (item) => item.range[0]
+            )
+            if (shorthandDecl) {
+              errArr.push({
+                loc: getPropertyLoc(decl),
+                msgId: 'shorthandOverride',
+                data: { longhand: decl.property, shorthand: shorthandDecl.property },
+                fix: null
               })
+            }
+            nearestDeclarations.set(longhand, decl)
+            if (decl.important) {
+              nearestImportantDeclarations.set(longhand, decl)
+            }
+            getLonghands(longhand).forEach((item) => {
+              propertiesByLonghand.set(item, (propertiesByLonghand.get(item) || new Set()).add(longhand))
+            })
+          })
+
+          if (contentOrder && inRule) {
+            checkContentOrder(container, indent, sorter)
+          }
+        }
+
+        checkContainer(style.cssNode, 0, propertySorter, false)
+
+        // 忽略被禁用注释覆盖的行上的问题
+        lodash.remove(errArr, (err) => directives.suppress(err.loc.start.line))
+
+        // 同一组属性（或内容顺序错误的块）的问题共用一个修复，只随其中第一个问题报告，各修复互不重叠，一次即可全部应用
+        const reportedFixes = new Set()
+        const uniqueErrors = lodash.uniqBy(errArr, (err) => `${err.loc.start.line}:${err.loc.start.column}-${err.msgId}`)
+        lodash.sortBy(uniqueErrors, (err) => err.loc.start.line, (err) => err.loc.start.column).forEach((err) => {
+          const fix = err.fix && !reportedFixes.has(err.fix) ? err.fix : null
+          if (fix) {
+            reportedFixes.add(fix)
+          }
+          context.report({
+            node: style.cssNode,
+            messageId: err.msgId,
+            data: err.data,
+            loc: err.loc,
+            fix
+          })
+        })
+
+        directives.getUnused().forEach(({ name, comment }) => {
+          context.report({
+            loc: comment.loc,
+            messageId: 'unusedDisableDirective',
+            data: { directive: name },
+          })
+        })
+      }
+    }
+
+    const styles = getStyleContexts(context)
+      .filter((style) => !style.invalid)
+    if (!styles.length) {
+      return {}
+    }
+    return {
+      'Program:exit' () {
+        const reportedProblems = new Set()
+        for (const style of styles) {
+          const config = resolveConfig(filename, context.options[0], style, getCwd(context))
+          // 同一配置的问题每个文件只报告一次
+          const problems = config.problems.join('；')
+          const problemKey = `${config.source}：${problems}`
+          if (problems && !reportedProblems.has(problemKey)) {
+            reportedProblems.add(problemKey)
+            context.report({
+              loc: style.styleElement.startTag.loc,
+              messageId: 'invalidConfig',
+              data: {
+                source: config.source,
+                problems,
+              },
             })
           }
+          createStyleChecker(config)(style)
         }
       }
     }
@@ -0,0 +1,105 @@
+import sugarss from "sugarss";
+import { CSSParser } from "./css-parser.js";
+import { VCSSInlineComment } from "./ast.js";
+import { SassSelectorParser } from "./sass-selector-parser.js";
+
+/**
+ * `+name` and `=name` are the indented syntax of `@include name` and `@mixin name`.
+ * Replaced with `@` of the same length, so that the positions are kept.
+ */
+const MIXIN_SHORTHAND = /^([^\S\r\n]*)[+=](?=[\w-])/gmu;
+/**
+ * SugarSS does not accept the braces of interpolation `#{}`.
+ * Replaced with private use characters of the same length, and restored after parsing.
+ */
+const INTERPOLATION = /#\{([^{}\r\n]*)\}/gu;
+const INTERPOLATION_OPEN = "\uE000";
+const INTERPOLATION_CLOSE = "\uE001";
+const RESTORED_KEYS = ["selector", "prop", "value", "name", "params", "text"];
+
+/**
+ * Sass Parser
+ */
+export class SassParser extends CSSParser {
+  parseInternal(css) {
+    const root = sugarss.parse(
+      css
+        .replace(MIXIN_SHORTHAND, "$1@")
+        .replace(INTERPOLATION, `#${INTERPOLATION_OPEN}$1${INTERPOLATION_CLOSE}`),
+    );
+    normalizeNode(root, css);
+    return root;
+  }
+
+  createSelectorParser() {
+    return new SassSelectorParser(this.sourceCode, this.commentContainer);
+  }
+
+  /**
+   * Convert comment Node
+   * @param  {object} node  The node.
+   * @param  {SourceLocation} loc  The location.
+   * @param  {number} start  The index of start.
+   * @param  {number} end  The index of end.
+   * @param  {Node} parent  The parent node.
+   * @returns {void}
+   */
+  convertCommentNode(
+    node,
+    loc,
+    start,
+    end,
+    parent,
+  ) {
+    if (node.raws?.inline) {
+      this.commentContainer.push(
+        new VCSSInlineComment(node, node.text, loc, start, end, {
+          parent,
+        }),
+      );
+      return null;
+    }
+    return super.convertCommentNode(node, loc, start, end, parent);
+  }
+}
+
+/**
+ * Make the SugarSS node look like a PostCSS node.
+ * - The end column of SugarSS is exclusive, PostCSS is inclusive.
+ * - SugarSS ends a rule at its selector, PostCSS ends it at its last child.
+ * - Restore the interpolations and the at-rules of `+name` and `=name`.
+ * @param {object} node the SugarSS node
+ * @param {string} css the original source
+ * @returns {void}
+ */
+function normalizeNode(node, css) {
+  for (const key of RESTORED_KEYS) {
+    if (typeof node[key] === "string") {
+      node[key] = node[key]
+        .replaceAll(INTERPOLATION_OPEN, "{")
+        .replaceAll(INTERPOLATION_CLOSE, "}");
+    }
+  }
+  if (node.type !== "root" && node.source?.end) {
+    node.source.end = {
+      ...node.source.end,
+      column: node.source.end.column - 1,
+    };
+  }
+  if (node.nodes) {
+    for (const child of node.nodes) {
+      normalizeNode(child, css);
+    }
+    const last = node.nodes[node.nodes.length - 1];
+    if (node.type !== "root" && last?.source?.end) {
+      node.source.end = { ...last.source.end };
+    }
+  }
+  if (node.type === "atrule") {
+    const mark = css[node.source.start.offset];
+    if (mark === "+" || mark === "=") {
+      node.params = `${node.name}${node.raws.afterName ?? ""}${node.params}`;
+      node.name = mark === "+" ? "include" : "mixin";
+    }
+  }
+}
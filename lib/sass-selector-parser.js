@@ -0,0 +1,7 @@
+import { SCSSSelectorParser } from "./scss-selector-parser.js";
+
+/**
+ * Selector parser of the Sass indented syntax.
+ * The selectors are the same as SCSS: interpolation `#{}` and `//` comments.
+ */
+export class SassSelectorParser extends SCSSSelectorParser {}
@@ -0,0 +1,140 @@
+// 简写属性及其直接展开的属性
+const SHORTHANDS = {
+  'margin': ['margin-top', 'margin-right', 'margin-bottom', 'margin-left'],
+  'margin-block': ['margin-block-start', 'margin-block-end'],
+  'margin-inline': ['margin-inline-start', 'margin-inline-end'],
+  'padding': ['padding-top', 'padding-right', 'padding-bottom', 'padding-left'],
+  'padding-block': ['padding-block-start', 'padding-block-end'],
+  'padding-inline': ['padding-inline-start', 'padding-inline-end'],
+  'inset': ['top', 'right', 'bottom', 'left'],
+  'inset-block': ['inset-block-start', 'inset-block-end'],
+  'inset-inline': ['inset-inline-start', 'inset-inline-end'],
+  'scroll-margin': ['scroll-margin-top', 'scroll-margin-right', 'scroll-margin-bottom', 'scroll-margin-left'],
+  'scroll-padding': ['scroll-padding-top', 'scroll-padding-right', 'scroll-padding-bottom', 'scroll-padding-left'],
+  'overflow': ['overflow-x', 'overflow-y'],
+  'overscroll-behavior': ['overscroll-behavior-x', 'overscroll-behavior-y'],
+  'flex': ['flex-grow', 'flex-shrink', 'flex-basis'],
+  'flex-flow': ['flex-direction', 'flex-wrap'],
+  'grid': ['grid-template', 'grid-auto-rows', 'grid-auto-columns', 'grid-auto-flow'],
+  'grid-template': ['grid-template-rows', 'grid-template-columns', 'grid-template-areas'],
+  'grid-area': ['grid-row', 'grid-column'],
+  'grid-row': ['grid-row-start', 'grid-row-end'],
+  'grid-column': ['grid-column-start', 'grid-column-end'],
+  'gap': ['row-gap', 'column-gap'],
+  'grid-gap': ['grid-row-gap', 'grid-column-gap'],
+  'place-content': ['align-content', 'justify-content'],
+  'place-items': ['align-items', 'justify-items'],
+  'place-self': ['align-self', 'justify-self'],
+  'columns': ['column-width', 'column-count'],
+  'column-rule': ['column-rule-width', 'column-rule-style', 'column-rule-color'],
+  'border': ['border-top', 'border-right', 'border-bottom', 'border-left', 'border-image'],
+  'border-top': ['border-top-width', 'border-top-style', 'border-top-color'],
+  'border-right': ['border-right-width', 'border-right-style', 'border-right-color'],
+  'border-bottom': ['border-bottom-width', 'border-bottom-style', 'border-bottom-color'],
+  'border-left': ['border-left-width', 'border-left-style', 'border-left-color'],
+  'border-width': ['border-top-width', 'border-right-width', 'border-bottom-width', 'border-left-width'],
+  'border-style': ['border-top-style', 'border-right-style', 'border-bottom-style', 'border-left-style'],
+  'border-color': ['border-top-color', 'border-right-color', 'border-bottom-color', 'border-left-color'],
+  'border-block': ['border-block-start', 'border-block-end'],
+  'border-block-start': ['border-block-start-width', 'border-block-start-style', 'border-block-start-color'],
+  'border-block-end': ['border-block-end-width', 'border-block-end-style', 'border-block-end-color'],
+  'border-inline': ['border-inline-start', 'border-inline-end'],
+  'border-inline-start': ['border-inline-start-width', 'border-inline-start-style', 'border-inline-start-color'],
+  'border-inline-end': ['border-inline-end-width', 'border-inline-end-style', 'border-inline-end-color'],
+  'border-radius': ['border-top-left-radius', 'border-top-right-radius', 'border-bottom-right-radius', 'border-bottom-left-radius'],
+  'border-image': ['border-image-source', 'border-image-slice', 'border-image-width', 'border-image-outset', 'border-image-repeat'],
+  'outline': ['outline-color', 'outline-style', 'outline-width'],
+  'background': [
+    'background-color',
+    'background-image',
+    'background-repeat',
+    'background-attachment',
+    'background-position',
+    'background-size',
+    'background-origin',
+    'background-clip'
+  ],
+  'background-position': ['background-position-x', 'background-position-y'],
+  'font': [
+    'font-style',
+    'font-variant',
+    'font-weight',
+    'font-stretch',
+    'font-size',
+    'line-height',
+    'font-family'
+  ],
+  'font-variant': [
+    'font-variant-caps',
+    'font-variant-ligatures',
+    'font-variant-numeric',
+    'font-variant-east-asian',
+    'font-variant-alternates',
+    'font-variant-position'
+  ],
+  'list-style': ['list-style-type', 'list-style-position', 'list-style-image'],
+  'text-decoration': ['text-decoration-line', 'text-decoration-style', 'text-decoration-color', 'text-decoration-thickness'],
+  'text-emphasis': ['text-emphasis-style', 'text-emphasis-color'],
+  'transition': [
+    'transition-property',
+    'transition-duration',
+    'transition-timing-function',
+    'transition-delay',
+    'transition-behavior'
+  ],
+  'animation': [
+    'animation-name',
+    'animation-duration',
+    'animation-timing-function',
+    'animation-delay',
+    'animation-iteration-count',
+    'animation-direction',
+    'animation-fill-mode',
+    'animation-play-state'
+  ],
+  'mask': [
+    'mask-image',
+    'mask-mode',
+    'mask-repeat',
+    'mask-position',
+    'mask-clip',
+    'mask-origin',
+    'mask-size',
+    'mask-composite'
+  ],
+  'offset': ['offset-position', 'offset-path', 'offset-distance', 'offset-rotate', 'offset-anchor'],
+  'container': ['container-name', 'container-type'],
+  'contain-intrinsic-size': ['contain-intrinsic-width', 'contain-intrinsic-height']
+}
+
+const longhandsCache = new Map()
+
+/**
+ * 获取属性最终展开的全部属性，非简写属性返回其自身
+ * @param {string} property 属性名
+ * @returns {Set<string>} 展开后的属性
+ */
+export function getLonghands (property) {
+  if (longhandsCache.has(property)) {
+    return longhandsCache.get(property)
+  }
+  const longhands = SHORTHANDS[property]
+    ? new Set(SHORTHANDS[property].flatMap((item) => [...getLonghands(item)]))
+    : new Set([property])
+  longhandsCache.set(property, longhands)
+  return longhands
+}
+
+/**
+ * shorthand 是否为 longhand 的简写属性（包括多层简写，如 border 与 border-top-color）
+ * @param {string} shorthand 属性名
+ * @param {string} longhand 属性名
+ * @returns {boolean}
+ */
+export function isShorthandOf (shorthand, longhand) {
+  if (shorthand === longhand) {
+    return false
+  }
+  const shorthandLonghands = getLonghands(shorthand)
+  return [...getLonghands(longhand)].every((property) => shorthandLonghands.has(property))
+}
@@ -0,0 +1,206 @@
+import { getUnprefixedProperty } from './properties.js'
+import { getLonghands } from './shorthands.js'
+
+// 将分组配置展开为属性顺序，并记录每个属性所属的分组
+// 连续的字符串项视为同一个匿名分组
+function resolvePropertyGroups (order) {
+  const properties = []
+  const groups = []
+  const groupIndexes = new Map()
+  let anonymousGroup = null
+  const addProperty = (property) => {
+    groupIndexes.set(property, groups.length - 1)
+    properties.push(property)
+  }
+  order.forEach((item) => {
+    if (typeof item === 'string') {
+      if (!anonymousGroup) {
+        anonymousGroup = { groupName: null, emptyLineBefore: false }
+        groups.push(anonymousGroup)
+      }
+      addProperty(item)
+    } else {
+      anonymousGroup = null
+      groups.push({
+        groupName: item.groupName ?? null,
+        emptyLineBefore: Boolean(item.emptyLineBefore),
+      })
+      item.properties.forEach(addProperty)
+    }
+  })
+  return { properties, groups, groupIndexes }
+}
+
+/**
+ * 是否为自定义属性（--*）
+ * @param {string} property 属性名
+ * @returns {boolean}
+ */
+export function isCustomProperty (property) {
+  return property.startsWith('--')
+}
+
+/**
+ * 用于查找顺序的属性名：css 属性名不区分大小写，统一为小写；自定义属性区分大小写，保持原样
+ * @param {string} property 属性名
+ * @returns {string}
+ */
+export function getPropertyName (property) {
+  return isCustomProperty(property) ? property : property.toLowerCase()
+}
+
+function compareNames (a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * 按属性顺序排序一组属性声明，样式规则使用配置的属性顺序，描述符 at 规则使用对应的描述符顺序
+ * @param {object} options 属性顺序的配置：order、unspecified、customProperties、sortCustomProperties
+ * @returns {{ sortDeclarations: Function, needEmptyLineBetween: Function, isSameGroup: Function }}
+ */
+export function createSorter ({ order, unspecified, customProperties, sortCustomProperties }) {
+  const { properties: propertyGroups, groups, groupIndexes } = resolvePropertyGroups(order)
+  // 属性在顺序中的位置，避免每次比较时遍历整个属性列表；重复的属性以第一次出现的位置为准
+  const propertyRanks = new Map()
+  propertyGroups.forEach((property, index) => {
+    if (!propertyRanks.has(property)) {
+      propertyRanks.set(property, index)
+    }
+  })
+
+  // 带浏览器前缀的属性未单独配置时，使用对应标准属性的配置
+  function getConfiguredProperty (property) {
+    if (groupIndexes.has(property)) {
+      return property
+    }
+    const unprefixed = getUnprefixedProperty(property)
+    return groupIndexes.has(unprefixed) ? unprefixed : null
+  }
+
+  // 排序时比较的内容，每个属性名只计算一次
+  // custom：位置由 customProperties 决定的自定义属性；rank：在顺序中的位置，未配置为 -1；prefixed：使用标准属性配置的带前缀属性
+  const propertyKeys = new Map()
+  function getPropertyKey (property) {
+    if (!propertyKeys.has(property)) {
+      const configured = getConfiguredProperty(property)
+      propertyKeys.set(property, {
+        name: property,
+        custom: Boolean(customProperties) && isCustomProperty(property),
+        rank: propertyRanks.get(configured) ?? -1,
+        prefixed: configured !== null && configured !== property,
+        group: groupIndexes.get(configured),
+      })
+    }
+    return propertyKeys.get(property)
+  }
+
+  function isSpecified (key) {
+    return key.custom || key.rank !== -1
+  }
+
+  // 属性之间的先后关系，未配置的属性按 unspecified 放在开头或末尾
+  // 带前缀的属性紧挨在对应的标准属性之前，相同位置的属性返回 0，排序时保持原有顺序
+  function compareProperties (a, b) {
+    if (a.custom && b.custom) {
+      return sortCustomProperties ? compareNames(a.name, b.name) : 0
+    }
+    if (a.custom || b.custom) {
+      const customFirst = customProperties === 'first' ? -1 : 1
+      return a.custom ? customFirst : -customFirst
+    }
+    if (a.rank !== -1 && b.rank !== -1) {
+      return a.rank - b.rank || Number(b.prefixed) - Number(a.prefixed)
+    }
+    if (a.rank === -1 && b.rank === -1) {
+      if (unspecified === 'bottomAlphabetical') {
+        return compareNames(a.name, b.name)
+      }
+      return 0
+    }
+    const unspecifiedFirst = unspecified === 'top' ? -1 : 1
+    return a.rank === -1 ? unspecifiedFirst : -unspecifiedFirst
+  }
+
+  function getGroup (decl) {
+    return getPropertyKey(getPropertyName(decl.property)).group
+  }
+
+  // 相邻两个属性分属不同分组，且后者分组要求前置空行时，二者之间需要一个空行
+  function needEmptyLineBetween (prev, next) {
+    const nextGroup = getGroup(next)
+    return nextGroup !== undefined &&
+      getGroup(prev) !== nextGroup &&
+      groups[nextGroup].emptyLineBefore
+  }
+
+  // 相邻两个属性是否属于同一个配置的分组，未配置的属性不属于任何分组
+  function isSameGroup (prev, next) {
+    const prevGroup = getGroup(prev)
+    return prevGroup !== undefined && prevGroup === getGroup(next)
+  }
+
+  // 对一组属性排序
+  // unspecified 为 ignore 时未配置的属性保持原位，isFixedDeclaration 返回 true 的属性同样保持原位，只对其余属性排序
+  // 会设置同一属性的简写与展开属性之间不调换顺序：属性排序时的位置不早于之前与其重叠的属性
+  function sortDeclarations (run, isFixedDeclaration) {
+    const nameOf = (decl) => getPropertyName(decl.property)
+    // all 会重置除自定义属性外的全部属性，属性不能越过它移动：以 all 为界分段排序，all 保持原位
+    const barrierIndex = run.findIndex((decl) => nameOf(decl) === 'all')
+    if (barrierIndex !== -1) {
+      const before = sortDeclarations(run.slice(0, barrierIndex), isFixedDeclaration)
+      const after = sortDeclarations(run.slice(barrierIndex + 1), isFixedDeclaration)
+      return {
+        sortedDeclarations: [...before.sortedDeclarations, run[barrierIndex], ...after.sortedDeclarations],
+        unordered: [...before.unordered, ...after.unordered]
+      }
+    }
+    const isFixed = (decl) => isFixedDeclaration(decl) ||
+      (unspecified === 'ignore' && !isSpecified(getPropertyKey(nameOf(decl))))
+    // 保持原位的属性展开后的属性 -> 设置它的属性名
+    const fixedLonghands = new Map()
+    run.filter(isFixed).forEach((decl) => {
+      getLonghands(nameOf(decl)).forEach((longhand) => {
+        fixedLonghands.set(longhand, (fixedLonghands.get(longhand) || new Set()).add(nameOf(decl)))
+      })
+    })
+    // 与保持原位的属性重叠的属性同样不移动
+    const overlapsFixed = (decl) => [...getLonghands(nameOf(decl))]
+      .some((longhand) => [...fixedLonghands.get(longhand) || []].some((name) => name !== nameOf(decl)))
+    const sortable = run.filter((decl) => !isFixed(decl) && !overlapsFixed(decl))
+
+    // 位置先按属性顺序比较，相同时按原有顺序，排序结果稳定
+    const comparePositions = (a, b) => compareProperties(a.key, b.key) || a.index - b.index
+    const positions = new Map()
+    const latestPositions = new Map()
+    sortable.forEach((decl, index) => {
+      let position = { key: getPropertyKey(nameOf(decl)), index }
+      const longhands = getLonghands(nameOf(decl))
+      longhands.forEach((longhand) => {
+        const previous = latestPositions.get(longhand)
+        if (previous && comparePositions(previous, position) > 0) {
+          position = { key: previous.key, index }
+        }
+      })
+      longhands.forEach((longhand) => latestPositions.set(longhand, position))
+      positions.set(decl, position)
+    })
+    const sorted = [...sortable].sort((a, b) => comparePositions(positions.get(a), positions.get(b)))
+
+    // 之前存在位置更靠后的属性时，该属性顺序错误，previous 为其中位置最靠后的属性
+    const unordered = []
+    let previous = null
+    sortable.forEach((decl) => {
+      if (previous && comparePositions(positions.get(decl), positions.get(previous)) < 0) {
+        unordered.push({ decl, previous })
+      } else {
+        previous = decl
+      }
+    })
+    const sortableSet = new Set(sortable)
+    let sortedIndex = 0
+    const sortedDeclarations = run.map((decl) => sortableSet.has(decl) ? sorted[sortedIndex++] : decl)
+    return { sortedDeclarations, unordered }
+  }
+
+  return { sortDeclarations, needEmptyLineBetween, isSameGroup }
+}
@@ -0,0 +1,3 @@
+export default {
+  order: ['display', 'color'],
+}
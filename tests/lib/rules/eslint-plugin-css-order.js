@@ -8,38 +8,1221 @@
 // Requirements
 //------------------------------------------------------------------------------
 
-const rule = require("../../../lib/rules/eslint-plugin-css-order"),
-  RuleTester = require("eslint").RuleTester;
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import assert from "assert";
+import { afterEach, beforeEach, describe, it } from "mocha";
+import { Linter, RuleTester } from "eslint";
+import vueParser from "vue-eslint-parser";
+import rule from "../../../lib/rules/eslint-plugin-css-order.js";
+import { PRESETS } from "../../../lib/presets.js";
+import { validateOrder } from "../../../lib/config.js";
+import { isShorthandOf } from "../../../lib/shorthands.js";
 
+/**
+ * Build the source of a .vue file from its lines.
+ * @param {...string} lines lines of the file
+ * @returns {string} the source joined with CRLF
+ */
+function vue(...lines) {
+  return lines.join("\r\n");
+}
+
+/**
+ * Apply the fixes reported by a single `verify()` the way `eslint --fix` does in one pass:
+ * fixes are applied in order of their ranges and a fix touching an earlier one is skipped.
+ * @param {string} code the source
+ * @param {object[]} messages the messages of `verify()`
+ * @returns {string} the fixed source
+ */
+function applyFixes(code, messages) {
+  let output = "";
+  let position = -Infinity;
+  messages
+    .filter((message) => message.fix)
+    .map((message) => message.fix)
+    .sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1])
+    .forEach(({ range, text }) => {
+      if (position >= range[0]) {
+        return;
+      }
+      output += code.slice(Math.max(position, 0), range[0]) + text;
+      position = range[1];
+    });
+  return output + code.slice(Math.max(position, 0));
+}
+
+const fixturesDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../fixtures/config",
+);
+
+const contentOrder = [
+  "custom-properties",
+  "dollar-variables",
+  "at-extend",
+  "at-include",
+  "declarations",
+  "rules",
+  "at-rules",
+];
+
+const groupedOrder = [
+  { groupName: "positioning", properties: ["position", "top"] },
+  { groupName: "box model", properties: ["display", "flex"], emptyLineBefore: true },
+];
 
 //------------------------------------------------------------------------------
 // Tests
 //------------------------------------------------------------------------------
 
-const ruleTester = new RuleTester();
+const ruleTester = new RuleTester({
+  languageOptions: { parser: vueParser },
+});
 ruleTester.run("eslint-plugin-css-order", rule, {
   valid: [
-    { code: "css`a { display: flex; flex: 1; }`" },
-    { code: "css`display: flex; flex: 1;`" }
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a:hover,", ".b:focus {", "  display: flex;", "  background: url(data:image/svg+xml;charset=utf8,%3Csvg%3E);", "}", ".c { display: flex; color: red }", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: flex;", "  flex: 1;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  flex: 1;", "  display: flex;", "}", "</style>", ""),
+      options: [{ order: ["flex", "display"] }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "    display: flex;", "    flex: 1;", "}", "</style>", ""),
+      options: [{ indent: 4 }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  position: absolute;", "  top: 0;", "", "  display: flex;", "  flex: 1;", "}", "</style>", ""),
+      options: [{ order: groupedOrder }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: flex;", "  margin: 0;", "  padding: 0;", "  width: 10px;", "}", "</style>", ""),
+      options: [{ preset: "concentric" }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  align-items: center;", "  display: flex;", "  color: red;", "}", "</style>", ""),
+      options: [{ preset: "alphabetical", order: ["color"] }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: flex;", "  flex: 1;", "  alpha: 2;", "  zeta: 1;", "}", "</style>", ""),
+      options: [{ unspecified: "bottom" }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  -webkit-flex: 1;", "  -moz-flex: 1;", "  flex: 1;", "  -webkit-transform: none;", "  transform: none;", "}", "</style>", ""),
+      options: [{ unspecified: "bottom" }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  flex: 1;", "  -webkit-flex: 1;", "}", "</style>", ""),
+      options: [{ order: ["flex", "-webkit-flex"] }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  margin: 0;", "  margin-top: 10px;", "  padding: 0;", "}", "</style>", ""),
+      options: [{ order: ["margin-top", "margin", "padding"] }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  margin: 0;", "  color: red;", "  margin-top: 10px;", "}", "</style>", ""),
+      options: [{ order: ["color", "margin"], unspecified: "ignore" }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  all: unset;", "  color: red;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  margin-top: 0 !important;", "  margin: 10px;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ":root {", "  --color-primary: #1890ff;", "  --color-danger: #f5222d;", "  display: block;", "}", "</style>", ""),
+      options: [{ customProperties: "first" }],
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  --gap: 4px;", "  $size: 10px;", "  @extend .b;", "  @include mixin;", "  display: block;", "  &:hover {", "    color: red;", "  }", "  @media (min-width: 100px) {", "    display: none;", "  }", "}", "</style>", ""),
+      options: [{ contentOrder }],
+    },
+    {
+      filename: path.join(fixturesDir, "packages/nested/src/test.vue"),
+      code: vue("<style>", ".a {", "  flex: 1;", "  display: flex;", "}", "</style>", ""),
+    },
+    {
+      filename: path.join(fixturesDir, "packages/yaml/test.vue"),
+      code: vue("<style>", ".a {", "  display: flex;", "  flex: 1;", "}", "</style>", ""),
+    },
+    {
+      filename: path.join(fixturesDir, "packages/pkg/test.vue"),
+      code: vue("<style>", ".a {", "  color: red;", "  display: flex;", "}", "</style>", ""),
+    },
+    {
+      filename: path.join(fixturesDir, "packages/esm/test.vue"),
+      code: vue("<style>", ".a {", "  display: flex;", "  color: red;", "}", "</style>", ""),
+    },
+    {
+      filename: path.join(fixturesDir, "packages/cjs/test.vue"),
+      code: vue("<style>", ".a {", "  color: red;", "  display: flex;", "}", "</style>", ""),
+    },
+    {
+      filename: path.join(fixturesDir, "test.vue"),
+      code: vue("<style>", ".a {", "  display: flex;", "  flex: 1;", "}", "</style>", ""),
+      options: [{ order: ["display", "flex"] }],
+    },
+    {
+      filename: path.join(fixturesDir, "packages/overrides/test.vue"),
+      code: vue('<style lang="stylus">', ".a {", "  color: red;", "  display: flex;", "}", "</style>", "<style scoped>", ".a {", "    display: flex;", "    color: red;", "}", "</style>", ""),
+    },
+    {
+      filename: path.join(fixturesDir, "packages/extends/test.vue"),
+      code: vue("<style>", ".a {", "    position: relative;", "    z-index: 1;", "    top: 0;", "    display: flex;", "    content: \"\";", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style module>", ".a {", "  color: red;", "  display: flex;", "}", "</style>", "<style>", ".a {", "  display: flex;", "  color: red;", "}", "</style>", ""),
+      options: [{ order: ["display", "color"], overrides: { module: { order: ["color", "display"] } } }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  /* css-order-disable */", "  display: -webkit-box;", "  display: flex;", "  /* css-order-enable */", "  /* css-order-disable-next-line */", "  z-index: 1;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  // css-order-disable-next-line", "    display: flex;", "  position: relative;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: -webkit-box;", "  display: flex;", "  color: red;", "}", "</style>", ""),
+      options: [{ order: ["display", "color"], allowFallbacks: true }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", "@font-face {", "  font-family: Foo;", "  src: url(foo.woff2);", "  font-display: swap;", "  font-weight: 400;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="stylus">', ".foo", "  size = 10px", "  display flex", "  width size", "  .bar", "    position absolute", "    top 0", "</style>", ""),
+      options: [{ unspecified: "bottom" }],
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="sass">', "=box($size)", "  width: $size", "  height: $size", ".foo", "  $gap: 4px", "  position: absolute", "  top: 0", "  +box(10px)", "  display: flex", "  &:hover, .bar-#{$gap}", "    flex: 1", "</style>", ""),
+      options: [{ order: groupedOrder, unspecified: "bottom" }],
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="less">', "@gap: 4px;", ".box(@size) when (@size > 0) {", "  width: @size;", "  height: @size;", "}", ".foo-@{gap}, ~\"@{gap}-bar\" {", "  @local: 1px;", "  position: absolute;", "  top: 0;", "  .box(10px);", "  display: flex;", "  &:extend(.bar all);", "  flex: 1;", "}", "</style>", ""),
+      options: [{ order: groupedOrder, unspecified: "bottom" }],
+    },
   ],
   invalid: [
     {
-      code: "css`a { flex: 1; display: flex; }`",
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  flex: 1;", "  display: flex;", "}", "</style>", ""),
+      errors: [
+        {
+          message: "css属性顺序错误：display 应位于 flex 之前",
+          line: 4,
+          column: 3,
+          endLine: 4,
+          endColumn: 10,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  display: flex;\r\n  flex: 1;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", "a:hover,", "b { color: red; display: flex }", ".c { top: 0; position: absolute; }", "</style>", ""),
+      errors: [
+        { messageId: "cssSort", line: 3 },
+        { messageId: "cssSort", line: 4 },
+      ],
+      output: "<style>\r\na:hover,\r\nb { display: flex; color: red }\r\n.c { position: absolute; top: 0; }\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  background: url(data:image/png;base64,AAAA);", "  display: block; position: relative;", "  top: 0;", "}", "</style>", ""),
+      errors: [
+        { messageId: "cssSort", line: 4, column: 3 },
+        { messageId: "cssSort", line: 4, column: 19 },
+        { messageId: "cssSort", line: 5 },
+      ],
+      output: "<style>\r\n.a {\r\n  position: relative;\r\n  top: 0; display: block;\r\n  background: url(data:image/png;base64,AAAA);\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: flex;", "  flex: 1;", "}", "</style>", ""),
+      options: [{ order: ["flex", "display"] }],
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 4,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  flex: 1;\r\n  display: flex;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "    display: flex;", "  flex: 1;", "}", "</style>", ""),
+      options: [{ indent: 4 }],
+      errors: [
+        {
+          message: "css缩进错误：应为 4 个空格，实际为 2 个",
+          line: 4,
+          column: 1,
+          endLine: 4,
+          endColumn: 3,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n    display: flex;\r\n    flex: 1;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  position: absolute;", "  top: 0;", "  display: flex;", "", "", "  flex: 1;", "}", "</style>", ""),
+      options: [{ order: groupedOrder }],
+      errors: [
+        {
+          message: "css属性分组之间需要一个空行：display 与 top 属于不同分组",
+          line: 5,
+          column: 3,
+          endLine: 5,
+          endColumn: 10,
+        },
+        {
+          message: "css属性之间不允许存在空行：display 与 flex 属于同一分组",
+          line: 6,
+          column: 1,
+          endLine: 6,
+          endColumn: 1,
+        },
+        {
+          messageId: "emptyLine",
+          line: 7,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  position: absolute;\r\n  top: 0;\r\n\r\n  display: flex;\r\n  flex: 1;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  top: 0;", "", "", "  display: flex;", "}", ".b {", "  display: flex;", "", "  position: absolute;", "  color: red;", "", "  z-index: 1;", "}", "</style>", ""),
+      options: [{ order: groupedOrder }],
+      errors: [
+        {
+          message: "css属性分组之间只允许一个空行：display 与 top 属于不同分组",
+          line: 5,
+        },
+        {
+          message: "css属性之间不允许存在空行：position 之前不需要分组空行",
+          line: 10,
+        },
+        {
+          messageId: "cssSort",
+          line: 11,
+        },
+        {
+          message: "css属性之间不允许存在空行：z-index 之前不需要分组空行",
+          line: 13,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  top: 0;\r\n\r\n  display: flex;\r\n}\r\n.b {\r\n  position: absolute;\r\n\r\n  display: flex;\r\n  color: red;\r\n  z-index: 1;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: flex;", "  top: 0;", "", "  position: absolute;", "}", "</style>", ""),
+      options: [{ order: groupedOrder }],
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 4,
+        },
+        {
+          messageId: "emptyLine",
+          line: 5,
+        },
+        {
+          messageId: "cssSort",
+          line: 6,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  position: absolute;\r\n  top: 0;\r\n\r\n  display: flex;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: flex;", "  color: red;", "  align-items: center;", "}", "</style>", ""),
+      options: [{ preset: "alphabetical" }],
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 4,
+        },
+        {
+          messageId: "cssSort",
+          line: 5,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  align-items: center;\r\n  color: red;\r\n  display: flex;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  transform: none;", "  -webkit-transform: none;", "  color: red;", "}", "</style>", ""),
+      options: [{ preset: "alphabetical" }],
+      errors: [
+        { message: "css属性顺序错误：-webkit-transform 应位于 transform 之前", line: 4 },
+        { message: "css属性顺序错误：color 应位于 transform 之前", line: 5 },
+      ],
+      output: vue("<style>", ".a {", "  color: red;", "  -webkit-transform: none;", "  transform: none;", "}", "</style>", ""),
+    },
+    {
+      filename: path.join(fixturesDir, "test.vue"),
+      code: vue("<style>", ".a {", "  display: flex;", "  flex: 1;", "}", "</style>", ""),
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 4,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  flex: 1;\r\n  display: flex;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: path.join(fixturesDir, "packages/esm/test.vue"),
+      code: vue("<style>", ".a {", "  color: red;", "  display: flex;", "}", "</style>", ""),
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 4,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  display: flex;\r\n  color: red;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  zeta: 1;", "  flex: 1;", "  alpha: 2;", "  display: flex;", "}", "</style>", ""),
+      options: [{ unspecified: "top" }],
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 5,
+        },
+        {
+          messageId: "cssSort",
+          line: 6,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  zeta: 1;\r\n  alpha: 2;\r\n  display: flex;\r\n  flex: 1;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  zeta: 1;", "  flex: 1;", "  alpha: 2;", "  display: flex;", "}", "</style>", ""),
+      options: [{ unspecified: "bottomAlphabetical" }],
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 4,
+        },
+        {
+          messageId: "cssSort",
+          line: 5,
+        },
+        {
+          messageId: "cssSort",
+          line: 6,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  display: flex;\r\n  flex: 1;\r\n  alpha: 2;\r\n  zeta: 1;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  zeta: 1;", "  flex: 1;", "  alpha: 2;", "  display: flex;", "}", "</style>", ""),
+      options: [{ unspecified: "ignore" }],
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 6,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  zeta: 1;\r\n  display: flex;\r\n  alpha: 2;\r\n  flex: 1;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: -webkit-box;", "  -webkit-line-clamp: 2;", "  line-clamp: 2;", "  flex: 1;", "  -ms-flex: 1;", "}", "</style>", ""),
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 6,
+        },
+        {
+          messageId: "cssSort",
+          line: 7,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  display: -webkit-box;\r\n  -ms-flex: 1;\r\n  flex: 1;\r\n  -webkit-line-clamp: 2;\r\n  line-clamp: 2;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  margin-top: 0;", "  color: red;", "  margin: 10px;", "}", "</style>", ""),
+      errors: [
+        {
+          message: "css属性 margin-top 会被之后的简写属性 margin 覆盖",
+          line: 3,
+        },
+        {
+          messageId: "cssSort",
+          line: 5,
+        },
+      ],
+      output: "<style>\r\n.a {\r\n  margin-top: 0;\r\n  margin: 10px;\r\n  color: red;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  color: red;", "  position: absolute;", "  all: unset;", "  display: block;", "  top: 0;", "}", "</style>", ""),
+      options: [{ order: ["all", "position", "top", "display", "color"] }],
+      errors: [
+        { message: "css属性顺序错误：position 应位于 color 之前", line: 4 },
+        { message: "css属性顺序错误：top 应位于 display 之前", line: 7 },
+      ],
+      output: vue("<style>", ".a {", "  position: absolute;", "  color: red;", "  all: unset;", "  top: 0;", "  display: block;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  DISPLAY: flex;", "  Position: absolute;", "  ALL: unset;", "  Transform: none;", "  -WEBKIT-Transform: none;", "}", "</style>", ""),
+      errors: [
+        { message: "css属性顺序错误：Position 应位于 DISPLAY 之前", line: 4 },
+        { message: "css属性顺序错误：-WEBKIT-Transform 应位于 Transform 之前", line: 7 },
+      ],
+      output: vue("<style>", ".a {", "  Position: absolute;", "  DISPLAY: flex;", "  ALL: unset;", "  -WEBKIT-Transform: none;", "  Transform: none;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  font: {", "    size: 1px;", "  }", "  color: red;", "  position: absolute;", "}", "</style>", ""),
+      errors: [{ message: "css属性顺序错误：position 应位于 color 之前", line: 7 }],
+      output: vue('<style lang="scss">', ".a {", "  position: absolute;", "  font: {", "    size: 1px;", "  }", "  color: red;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  &:hover {{ }", "  position: absolute;", "  display: flex;", "}", "</style>", ""),
+      errors: [{ message: "css解析失败：Unclosed block", line: 2 }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  margin-top: 0;", "  margin: 10px;", "}", "</style>", ""),
+      errors: [
+        {
+          messageId: "shorthandOverride",
+          line: 3,
+        },
+      ],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  border-top-width: 0 !important;", "  border-top: none;", "  border: 0 !important;", "}", "</style>", ""),
+      errors: [
+        { message: "css属性 border-top-width 会被之后的简写属性 border 覆盖", line: 3 },
+        { message: "css属性 border-top 会被之后的简写属性 border 覆盖", line: 4 },
+      ],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ":root {", "  color: red;", "  --z: 1;", "  display: block;", "  --a: 2;", "}", "</style>", ""),
+      options: [{ customProperties: "first", sortCustomProperties: true }],
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 4,
+        },
+        {
+          messageId: "cssSort",
+          line: 5,
+        },
+        {
+          messageId: "cssSort",
+          line: 6,
+        },
+      ],
+      output: "<style>\r\n:root {\r\n  --a: 2;\r\n  --z: 1;\r\n  display: block;\r\n  color: red;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ":root {", "  --z: 1;", "  color: red;", "  --a: 2;", "}", "</style>", ""),
+      options: [{ customProperties: "last" }],
+      errors: [
+        {
+          messageId: "cssSort",
+          line: 4,
+        },
+      ],
+      output: "<style>\r\n:root {\r\n  color: red;\r\n  --z: 1;\r\n  --a: 2;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  color: red;", "  $x: 1;", "  @include foo;", "  &:hover {", "    color: blue;", "  }", "  @extend .b;", "  display: block", "}", "</style>", ""),
+      options: [{ contentOrder }],
+      errors: [
+        {
+          message: "css内容顺序错误：dollar-variables 应位于 declarations 之前",
+          line: 4,
+          column: 3,
+        },
+        {
+          message: "css内容顺序错误：at-include 应位于 declarations 之前",
+          line: 5,
+        },
+        {
+          message: "css内容顺序错误：at-extend 应位于 rules 之前",
+          line: 9,
+        },
+        {
+          message: "css内容顺序错误：declarations 应位于 rules 之前",
+          line: 10,
+        },
+      ],
+      output: '<style lang="scss">\r\n.a {\r\n  $x: 1;\r\n  @extend .b;\r\n  @include foo;\r\n  display: block;\r\n  color: red;\r\n  &:hover {\r\n    color: blue;\r\n  }\r\n}\r\n</style>\r\n',
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  &:hover { color: red; } // hover", "", "  // the display", "  display: flex;", "}", "</style>", ""),
+      options: [{ contentOrder }],
+      errors: [{ messageId: "contentOrder", line: 6 }],
+      output: '<style lang="scss">\r\n.a {\r\n  // the display\r\n  display: flex;\r\n\r\n  &:hover { color: red; } // hover\r\n}\r\n</style>\r\n',
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  @if $x { color: red; } @else { color: blue; }", "  $y: 1;", "}", "</style>", ""),
+      options: [{ contentOrder: ["dollar-variables", "at-rules"] }],
+      errors: [{ messageId: "contentOrder", line: 4 }],
+      output: '<style lang="scss">\r\n.a {\r\n  $y: 1;\r\n  @if $x { color: red; } @else { color: blue; }\r\n}\r\n</style>\r\n',
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: flex;", "  flex: 1;", "}", "</style>", ""),
+      options: [{ order: ["display", "flex", { properties: ["colr", "display"] }] }],
       errors: [
         {
-          messageId: "cssOrderError",
+          message: 'css属性顺序配置错误（规则选项）：order[2].properties[0] 未知的 css 属性 "colr"；order[2].properties[1] 属性 "display" 重复（首次出现于 order[0]）',
+          line: 1,
         },
       ],
-      output: "css`a { display: flex; flex: 1; }`"
     },
     {
-      code: "css`flex: 1; display: flex;`",
+      filename: path.join(fixturesDir, "packages/invalid/test.vue"),
+      code: vue("<style>", ".a {", "  color: red;", "  display: flex;", "}", "</style>", ""),
       errors: [
         {
-          messageId: "cssOrderError",
+          message: `css属性顺序配置错误（${path.join("tests/fixtures/config/packages/invalid/css-order.config.json")}）：order[2] 未知的 css 属性 "colr"；order[3] 属性 "color" 重复（首次出现于 order[0]）`,
+          line: 1,
         },
       ],
-      output: "css`display: flex;flex: 1;`"
-    }
-  ]
-})
+    },
+    {
+      filename: path.join(fixturesDir, "packages/overrides/test.vue"),
+      code: vue('<style lang="scss" scoped>', ".a {", "  color: red;", "  display: flex;", "}", "</style>", ""),
+      errors: [{ messageId: "inconsistentIndent", line: 3 }, { messageId: "inconsistentIndent", line: 4 }, { messageId: "cssSort", line: 4 }],
+      output: '<style lang="scss" scoped>\r\n.a {\r\n    display: flex;\r\n    color: red;\r\n}\r\n</style>\r\n',
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  position: relative;", "  top: 0;", "  z-index: 1;", "  content: \"\";", "}", "</style>", ""),
+      options: [{ extends: "default", remove: ["content", "colr"], insertAfter: { position: "z-index", nope: ["color"] } }],
+      errors: [
+        {
+          message: 'css属性顺序配置错误（规则选项）：remove[1] 属性 "colr" 不在属性顺序中；insertAfter.nope 参照的属性 "nope" 不在属性顺序中',
+          line: 1,
+        },
+        { messageId: "cssSort", line: 5 },
+      ],
+      output: '<style>\r\n.a {\r\n  position: relative;\r\n  z-index: 1;\r\n  top: 0;\r\n  content: "";\r\n}\r\n</style>\r\n',
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  color: red;", "}", "</style>", '<style lang="stylus">', ".a {", "  color: red;", "}", "</style>", ""),
+      options: [{ overrides: { scss: { order: ["colr"] }, stylus: { order: ["colr"] } } }],
+      errors: [
+        {
+          message: 'css属性顺序配置错误（规则选项 overrides.scss）：order[0] 未知的 css 属性 "colr"',
+          line: 1,
+        },
+        {
+          message: 'css属性顺序配置错误（规则选项 overrides.stylus）：order[0] 未知的 css 属性 "colr"',
+          line: 6,
+        },
+      ],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  /* css-order-disable */", "  display: flex;", "    color: red;", "  /* css-order-enable */", "  z-index: 1;", "  position: relative;", "}", "</style>", ""),
+      errors: [{ messageId: "cssSort", line: 8 }],
+      output: "<style>\r\n.a {\r\n  /* css-order-disable */\r\n  display: flex;\r\n    color: red;\r\n  /* css-order-enable */\r\n  position: relative;\r\n  z-index: 1;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  /* css-order-disable */", "  top: 0;", "  display: flex;", "  /* css-order-enable */", "  flex: 1;", "  color: red;", "  position: absolute;", "}", "</style>", ""),
+      options: [{ order: [...groupedOrder, "color"] }],
+      errors: [{ message: "css属性顺序错误：position 应位于 color 之前", line: 9 }],
+      output: vue("<style>", ".a {", "  /* css-order-disable */", "  top: 0;", "  display: flex;", "  /* css-order-enable */", "  position: absolute;", "", "  flex: 1;", "  color: red;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  width: 1px;", "  // css-order-disable-next-line", "  color: red;", "  position: relative;", "}", "</style>", ""),
+      errors: [{ messageId: "cssSort", line: 6 }],
+      output: '<style lang="scss">\r\n.a {\r\n  position: relative;\r\n  // css-order-disable-next-line\r\n  color: red;\r\n  width: 1px;\r\n}\r\n</style>\r\n',
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  width: 1px;", "  /* css-order-disable-next-line -- kept for legacy browsers */", "  color: red;", "  position: relative;", "}", "</style>", ""),
+      errors: [{ messageId: "cssSort", line: 6 }],
+      output: vue("<style>", ".a {", "  position: relative;", "  /* css-order-disable-next-line -- kept for legacy browsers */", "  color: red;", "  width: 1px;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  color: red;", "  // css-order-disable-next-line", "  --x: 1;", "  --y: 1;", "}", "</style>", ""),
+      options: [{ contentOrder: ["custom-properties", "declarations"] }],
+      errors: [
+        { messageId: "cssSort", line: 6 },
+        { messageId: "contentOrder", line: 6 },
+      ],
+      output: '<style lang="scss">\r\n.a {\r\n  --y: 1;\r\n  // css-order-disable-next-line\r\n  --x: 1;\r\n  color: red;\r\n}\r\n</style>\r\n',
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  /* css-order-disable-next-line */", "  position: relative;", "  display: flex;", "  /* css-order-disable */", "  color: red;", "}", "</style>", ""),
+      errors: [
+        {
+          message: "未使用的 css-order-disable-next-line 注释",
+          line: 3,
+          column: 3,
+          endLine: 3,
+          endColumn: 36,
+        },
+        {
+          message: "未使用的 css-order-disable 注释",
+          line: 6,
+        },
+      ],
+    },
+    {
+      filename: "test.vue",
+      code: "<style>\n.a {\n  flex: 1;\n  display: flex;\n}\n</style>\n",
+      errors: [{ messageId: "cssSort", line: 4 }],
+      output: "<style>\n.a {\n  display: flex;\n  flex: 1;\n}\n</style>\n",
+    },
+    {
+      filename: "test.vue",
+      code: "<style>\n.a {\n  position: absolute;\n  display: flex;\n    top: 0;\n}\n</style>\n",
+      options: [{ order: groupedOrder }],
+      errors: [
+        { messageId: "missingEmptyLine", line: 4 },
+        { messageId: "inconsistentIndent", line: 5 },
+        { messageId: "cssSort", line: 5 },
+      ],
+      output: "<style>\n.a {\n  position: absolute;\n  top: 0;\n\n  display: flex;\n}\n</style>\n",
+    },
+    {
+      filename: "test.vue",
+      code: "<style>\r\n.a {\r\n  color: red;\n  display: flex;\r\n  position: absolute;\r\n}\r\n</style>\r\n",
+      options: [{ order: ["position", "display", "color"] }],
+      errors: [
+        { messageId: "cssSort", line: 4 },
+        { messageId: "cssSort", line: 5 },
+      ],
+      output: "<style>\r\n.a {\r\n  position: absolute;\n  display: flex;\r\n  color: red;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  position: absolute;", "  display: flex;", "}", "</style>", ""),
+      options: [{ order: groupedOrder }],
+      errors: [{ messageId: "missingEmptyLine", line: 4 }],
+      output: "<style>\r\n.a {\r\n  position: absolute;\r\n\r\n  display: flex;\r\n}\r\n</style>\r\n",
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  &:hover {", "    color: red;", "  }", "  display: flex;", "  position: absolute;", "", "", "  top: 0;", "}", "</style>", ""),
+      options: [{ order: groupedOrder, contentOrder: ["declarations", "rules"] }],
+      errors: [
+        { messageId: "contentOrder", line: 6 },
+        { messageId: "cssSort", line: 7 },
+        { messageId: "contentOrder", line: 7 },
+        { messageId: "emptyLine", line: 8 },
+        { messageId: "emptyLine", line: 9 },
+        { messageId: "cssSort", line: 10 },
+        { messageId: "contentOrder", line: 10 },
+      ],
+      output: '<style lang="scss">\r\n.a {\r\n  position: absolute;\r\n  top: 0;\r\n\r\n  display: flex;\r\n  &:hover {\r\n    color: red;\r\n  }\r\n}\r\n</style>\r\n',
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="scss">', ".a {", "  color: red;", "  @media (min-width: 768px) {", "    flex: 1;", "    display: flex;", "  }", "}", "</style>", ""),
+      errors: [{ messageId: "cssSort", line: 6 }],
+      output: vue('<style lang="scss">', ".a {", "  color: red;", "  @media (min-width: 768px) {", "    display: flex;", "    flex: 1;", "  }", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", "@supports (display: grid) {", "  @container (min-width: 400px) {", "    @layer base {", "      .a { color: red; display: grid; }", "    }", "  }", "}", "</style>", ""),
+      errors: [{ messageId: "cssSort", line: 5 }],
+      output: vue("<style>", "@supports (display: grid) {", "  @container (min-width: 400px) {", "    @layer base {", "      .a { display: grid; color: red; }", "    }", "  }", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", "@font-face {", "  src: url(foo.woff2);", "  font-weight: 400;", "  font-family: Foo;", "  ascent-override: 90%;", "  unknown-descriptor: 1;", "}", "@property --x {", "  initial-value: 0;", "  syntax: \"<length>\";", "}", "</style>", ""),
+      options: [{ order: ["font-weight", "font-family"], unspecified: "top" }],
+      errors: [
+        { message: "css属性顺序错误：font-family 应位于 font-weight 之前", line: 5 },
+        { message: "css属性顺序错误：syntax 应位于 initial-value 之前", line: 11 },
+      ],
+      output: vue("<style>", "@font-face {", "  font-family: Foo;", "  src: url(foo.woff2);", "  font-weight: 400;", "  ascent-override: 90%;", "  unknown-descriptor: 1;", "}", "@property --x {", "  syntax: \"<length>\";", "  initial-value: 0;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="stylus">', ".foo", "  // fallback", "  color red", "  top 0", "  position absolute", "  display flex", "  &:hover", "    flex 1", "    display block", "  @media (min-width: 768px)", "    z-index 1", "    position relative", "</style>", ""),
+      options: [{ order: [...groupedOrder, "color", "z-index"] }],
+      errors: [
+        { messageId: "cssSort", line: 5 },
+        { messageId: "cssSort", line: 6 },
+        { messageId: "missingEmptyLine", line: 7 },
+        { messageId: "cssSort", line: 7 },
+        { messageId: "cssSort", line: 10 },
+        { messageId: "cssSort", line: 13 },
+      ],
+      output: vue('<style lang="stylus">', ".foo", "  position absolute", "  top 0", "", "  display flex", "  // fallback", "  color red", "  &:hover", "    display block", "    flex 1", "  @media (min-width: 768px)", "    position relative", "    z-index 1", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="stylus">', ".foo", "  size = 10px", "  width size", "  display: flex;", "  color red", "</style>", ""),
+      options: [{ unspecified: "bottom", order: ["display", "color"] }],
+      errors: [
+        { messageId: "cssSort", line: 5 },
+        { messageId: "cssSort", line: 6 },
+      ],
+      output: vue('<style lang="stylus">', ".foo", "  size = 10px", "  display: flex;", "  color red", "  width size", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="sass">', ".foo", "  // fallback", "  color: red", "  top: 0", "  position: absolute", "  display: flex", "  &:hover", "    flex: 1 // grow", "    display: block", "  @media (min-width: 768px)", "    z-index: 1", "    position: relative", "</style>", ""),
+      options: [{ order: [...groupedOrder, "color", "z-index"] }],
+      errors: [
+        { messageId: "cssSort", line: 5 },
+        { messageId: "cssSort", line: 6 },
+        { messageId: "missingEmptyLine", line: 7 },
+        { messageId: "cssSort", line: 7 },
+        { messageId: "cssSort", line: 10 },
+        { messageId: "cssSort", line: 13 },
+      ],
+      output: vue('<style lang="sass">', ".foo", "  position: absolute", "  top: 0", "", "  display: flex", "  // fallback", "  color: red", "  &:hover", "    display: block", "    flex: 1 // grow", "  @media (min-width: 768px)", "    position: relative", "    z-index: 1", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="sass">', ".foo", "    color: red", "    +reset", "    top: 0", "    position: absolute", "    &:hover", "        display: block", "</style>", ""),
+      options: [{ order: ["position", "top", "display", "color"] }],
+      errors: [
+        { message: "css缩进错误：应为 2 个空格，实际为 4 个", line: 3 },
+        { message: "css缩进错误：应为 2 个空格，实际为 4 个", line: 4 },
+        { message: "css缩进错误：应为 2 个空格，实际为 4 个", line: 5 },
+        { message: "css缩进错误：应为 2 个空格，实际为 4 个", line: 6 },
+        { messageId: "cssSort", line: 6 },
+        { message: "css缩进错误：应为 2 个空格，实际为 4 个", line: 7 },
+        { message: "css缩进错误：应为 4 个空格，实际为 8 个", line: 8 },
+      ],
+      output: vue('<style lang="sass">', ".foo", "  color: red", "  +reset", "  position: absolute", "  top: 0", "  &:hover", "    display: block", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="less">', ".foo-@{name} {", "  // fallback", "  color: @color;", "  top: 0;", "  @size: 10px;", "  position: absolute;", "  .mixin();", "  flex: 1;", "  display: block;", "}", "</style>", ""),
+      options: [{ order: [...groupedOrder, "color"] }],
+      errors: [
+        { messageId: "cssSort", line: 5 },
+        { messageId: "cssSort", line: 10 },
+      ],
+      output: vue('<style lang="less">', ".foo-@{name} {", "  top: 0;", "  // fallback", "  color: @color;", "  @size: 10px;", "  position: absolute;", "  .mixin();", "  display: block;", "  flex: 1;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue('<style lang="less">', ".a {", "  color: red;", "  .mixin(2);", "  &:extend(.b);", "  @size: 1px;", "  &:hover {", "    color: blue;", "  }", "}", "</style>", ""),
+      options: [{ contentOrder: ["at-variables", "at-extend", "less-mixins", "declarations", "rules"] }],
+      errors: [
+        { message: "css内容顺序错误：less-mixins 应位于 declarations 之前", line: 4 },
+        { message: "css内容顺序错误：at-extend 应位于 declarations 之前", line: 5 },
+        { message: "css内容顺序错误：at-variables 应位于 declarations 之前", line: 6 },
+      ],
+      output: vue('<style lang="less">', ".a {", "  @size: 1px;", "  &:extend(.b);", "  .mixin(2);", "  color: red;", "  &:hover {", "    color: blue;", "  }", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  color: red;", "  display: flex;", "  color: blue;", "}", "</style>", ""),
+      options: [{ order: ["display", "color"] }],
+      errors: [
+        { messageId: "cssSort", line: 4 },
+        {
+          message: "css属性 color 重复（首次出现于第 3 行）",
+          line: 5,
+          column: 3,
+          endLine: 5,
+          endColumn: 8,
+        },
+      ],
+      output: vue("<style>", ".a {", "  display: flex;", "  color: red;", "  color: blue;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: -webkit-box;", "  display: flex;", "}", "</style>", ""),
+      errors: [{ messageId: "duplicateProperty", line: 4 }],
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  display: flex;", "  display: flex;", "  color: red;", "  display: grid;", "  color: blue !important;", "}", "</style>", ""),
+      options: [{ order: ["display", "color"], allowFallbacks: true }],
+      errors: [
+        { messageId: "duplicateProperty", line: 4 },
+        { messageId: "cssSort", line: 6 },
+        { messageId: "duplicateProperty", line: 6 },
+        { messageId: "duplicateProperty", line: 7 },
+      ],
+      output: vue("<style>", ".a {", "  display: flex;", "  display: flex;", "  display: grid;", "  color: red;", "  color: blue !important;", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  /* fallback for Safari */", "  color: red; /* trailing */", "  /* about display */", "    display: flex;", "", "  /* positioning */", "  position: absolute;", "}", "</style>", ""),
+      options: [{ order: ["position", "display", "color"] }],
+      errors: [
+        { messageId: "inconsistentIndent", line: 6 },
+        { messageId: "cssSort", line: 6 },
+        { messageId: "emptyLine", line: 7 },
+        { messageId: "cssSort", line: 9 },
+      ],
+      output: vue("<style>", ".a {", "  /* positioning */", "  position: absolute;", "  /* about display */", "  display: flex;", "  /* fallback for Safari */", "  color: red; /* trailing */", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style lang=\"scss\">", ".a {", "  // note", "  color: red; // trailing", "  display: flex", "}", "</style>", ""),
+      errors: [{ messageId: "cssSort", line: 5 }],
+      output: vue("<style lang=\"scss\">", ".a {", "  display: flex;", "  // note", "  color: red // trailing", "}", "</style>", ""),
+    },
+    {
+      filename: "test.vue",
+      code: vue("<style>", ".a {", "  /* css-order-disable-next-line */", "  color: red;", "  /* css-order-enable */", "  display: flex;", "  position: absolute;", "}", "</style>", ""),
+      errors: [{ messageId: "cssSort", line: 7 }],
+      output: vue("<style>", ".a {", "  /* css-order-disable-next-line */", "  color: red;", "  /* css-order-enable */", "  position: absolute;", "  display: flex;", "}", "</style>", ""),
+    },
+  ],
+});
+
+describe("presets", () => {
+  Object.entries(PRESETS).forEach(([name, order]) => {
+    it(`${name} contains only known properties without duplicates`, () => {
+      assert.deepStrictEqual(validateOrder(order), []);
+    });
+  });
+});
+
+describe("invalid config files", () => {
+  const linter = new Linter({ configType: "flat" });
+  const verify = (filename) =>
+    linter.verify(
+      vue("<style>", ".a {", "  color: red;", "}", "</style>", ""),
+      [
+        {
+          files: ["**/*.vue"],
+          languageOptions: { parser: vueParser },
+          plugins: { "css-order": { rules: { "css-order": rule } } },
+          rules: { "css-order/css-order": "warn" },
+        },
+      ],
+      filename,
+    );
+
+  it("throws with the parse error of a malformed file", () => {
+    assert.throws(
+      () => verify(path.join(fixturesDir, "packages/malformed/test.vue")),
+      /css-order: 无法加载配置文件 .*malformed.css-order\.config\.json：[\s\S]*JSON/u,
+    );
+  });
+
+  it("throws when a config file extends itself", () => {
+    assert.throws(
+      () => verify(path.join(fixturesDir, "packages/cycle/test.vue")),
+      /css-order: 配置文件循环继承：.*cycle.css-order\.config\.json -> .*cycle.css-order\.config\.json/u,
+    );
+  });
+
+  it("throws with every shape error of a file", () => {
+    assert.throws(
+      () => verify(path.join(fixturesDir, "packages/shape/test.vue")),
+      /格式错误：\n包含未知字段 "sort"\norder\[1\] 应为属性名或分组对象，实际为 1\nremove 应为数组\noverrides 包含未知字段 "sugarss"，应为 css \/ scss \/ sass \/ less \/ stylus \/ scoped \/ module 之一\noverrides\.scss：indent 应为非负整数，实际为 -1\n/u,
+    );
+  });
+});
+
+describe("invalid rule options", () => {
+  const linter = new Linter({ configType: "flat" });
+  const verify = (options) =>
+    linter.verify(
+      vue("<style>", ".a {", "  color: red;", "}", "</style>", ""),
+      [
+        {
+          files: ["**/*.vue"],
+          languageOptions: { parser: vueParser },
+          plugins: { "css-order": { rules: { "css-order": rule } } },
+          rules: { "css-order/css-order": ["warn", options] },
+        },
+      ],
+      "test.vue",
+    );
+
+  it("rejects preset together with extends, like config files do", () => {
+    assert.throws(() => verify({ preset: "alphabetical", extends: "concentric" }), /should NOT be valid/u);
+    assert.throws(() => verify({ overrides: { scss: { preset: "alphabetical", extends: "concentric" } } }), /should NOT be valid/u);
+    assert.deepStrictEqual(verify({ preset: "alphabetical", overrides: { scss: { extends: "concentric" } } }), []);
+  });
+});
+
+describe("config reloading", () => {
+  const linter = new Linter({ configType: "flat", cwd: os.tmpdir() });
+  const code = vue("<style>", ".a {", "  display: flex;", "  flex: 1;", "}", "</style>", "");
+  let directory;
+  const verify = () =>
+    linter.verify(
+      code,
+      [
+        {
+          files: ["**/*.vue"],
+          languageOptions: { parser: vueParser },
+          plugins: { "css-order": { rules: { "css-order": rule } } },
+          rules: { "css-order/css-order": "warn" },
+        },
+      ],
+      path.join(directory, "test.vue"),
+    );
+  // the modification time is moved forward so that quick successive writes are noticed
+  const writeConfig = (name, content, seconds) => {
+    const filepath = path.join(directory, name);
+    fs.writeFileSync(filepath, content);
+    const time = new Date(Date.now() + seconds * 1000);
+    fs.utimesSync(filepath, time, time);
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "css-order-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("reloads a config file after it changes", () => {
+    writeConfig("css-order.config.json", '["display", "flex"]', 0);
+    assert.deepStrictEqual(verify(), []);
+    writeConfig("css-order.config.json", '["flex", "display"]', 10);
+    assert.deepStrictEqual(verify().map((message) => message.messageId), ["cssSort"]);
+  });
+
+  it("notices cssOrder added to an existing package.json", () => {
+    writeConfig("package.json", '{ "name": "app" }', 0);
+    assert.deepStrictEqual(verify(), []);
+    writeConfig("package.json", '{ "name": "app", "cssOrder": ["flex", "display"] }', 10);
+    assert.deepStrictEqual(verify().map((message) => message.messageId), ["cssSort"]);
+  });
+
+  it("reloads a CommonJS config file after it changes", () => {
+    writeConfig("css-order.config.cjs", 'module.exports = ["display", "flex"]', 0);
+    assert.deepStrictEqual(verify(), []);
+    writeConfig("css-order.config.cjs", 'module.exports = ["flex", "display"]', 10);
+    assert.deepStrictEqual(verify().map((message) => message.messageId), ["cssSort"]);
+  });
+
+  it("picks up a config file created later", () => {
+    writeConfig("package.json", "{}", 0);
+    assert.deepStrictEqual(verify(), []);
+    writeConfig("css-order.config.yaml", "- flex\n- display\n", 10);
+    fs.utimesSync(directory, new Date(Date.now() + 10000), new Date(Date.now() + 10000));
+    assert.deepStrictEqual(verify().map((message) => message.messageId), ["cssSort"]);
+  });
+
+  it("loads an ES module config file once, without a child process", () => {
+    writeConfig("css-order.config.mjs", 'export default ["flex", "display"]', 0);
+    assert.deepStrictEqual(verify().map((message) => message.messageId), ["cssSort"]);
+    // ES modules cannot be removed from the module cache, the change needs a restart
+    writeConfig("css-order.config.mjs", 'export default ["display", "flex"]', 10);
+    assert.deepStrictEqual(verify().map((message) => message.messageId), ["cssSort"]);
+  });
+
+  it("throws when an ES module config file uses top-level await", () => {
+    writeConfig("css-order.config.mjs", 'export default await Promise.resolve(["flex", "display"])', 0);
+    assert.throws(verify, /css-order: 无法加载配置文件 .*css-order\.config\.mjs：使用了顶层 await/u);
+  });
+
+  it("resolves the extends path of the rule options against the ESLint cwd", () => {
+    writeConfig("base.json", '["flex", "display"]', 0);
+    const messages = new Linter({ configType: "flat", cwd: directory }).verify(
+      code,
+      [
+        {
+          files: ["**/*.vue"],
+          languageOptions: { parser: vueParser },
+          plugins: { "css-order": { rules: { "css-order": rule } } },
+          rules: { "css-order/css-order": ["warn", { extends: "./base.json" }] },
+        },
+      ],
+      path.join(directory, "test.vue"),
+    );
+    assert.deepStrictEqual(messages.map((message) => message.messageId), ["cssSort"]);
+  });
+});
+
+describe("autofix", () => {
+  const linter = new Linter({ configType: "flat" });
+  const config = [
+    {
+      files: ["**/*.vue"],
+      languageOptions: { parser: vueParser },
+      plugins: { "css-order": { rules: { "css-order": rule } } },
+      rules: { "css-order/css-order": ["warn", { order: groupedOrder }] },
+    },
+  ];
+  const code = vue(
+    "<style lang=\"scss\">",
+    ".a {",
+    "  display: flex;",
+    "  top: 0;",
+    "   position: absolute;",
+    "    &:hover {",
+    "      flex: 1;",
+    "",
+    "    display: block;",
+    "  }",
+    "  flex: 1;",
+    "  position: relative;",
+    "}",
+    ".b { display: flex; top: 0 }",
+    "</style>",
+    "",
+  );
+
+  it("reports one fix per declaration block without overlapping ranges", () => {
+    const fixes = linter
+      .verify(code, config, "test.vue")
+      .filter((message) => message.fix)
+      .map((message) => message.fix)
+      .sort((a, b) => a.range[0] - b.range[0]);
+    assert.strictEqual(fixes.length, 5);
+    fixes.slice(1).forEach((fix, index) => {
+      assert.ok(fixes[index].range[1] < fix.range[0]);
+    });
+  });
+
+  it("sorts a large block in a single pass", () => {
+    // shorthands and their longhands keep their order and nothing moves across `all`, so only independent properties are used
+    const properties = PRESETS.default.filter((property) =>
+      property !== "all" &&
+      PRESETS.default.every((item) => !isShorthandOf(item, property) && !isShorthandOf(property, item)),
+    );
+    const large = (list) => vue("<style>", ".a {", ...list.map((property) => `  ${property}: inherit;`), "}", "</style>", "");
+    const { messages, output } = linter.verifyAndFix(
+      large([...properties].reverse()),
+      [{ ...config[0], rules: { "css-order/css-order": "warn" } }],
+      "test.vue",
+    );
+    assert.deepStrictEqual(messages, []);
+    assert.strictEqual(output, large(properties));
+  });
+
+  it("converges in a single pass", () => {
+    const output = applyFixes(code, linter.verify(code, config, "test.vue"));
+    // duplicates are reported without a fix
+    assert.deepStrictEqual(linter.verify(output, config, "test.vue").map((message) => message.messageId), ["duplicateProperty"]);
+    assert.strictEqual(
+      output,
+      vue(
+        "<style lang=\"scss\">",
+        ".a {",
+        "  position: absolute;",
+        "  top: 0;",
+        "",
+        "  display: flex;",
+        "  &:hover {",
+        "    display: block;",
+        "    flex: 1;",
+        "  }",
+        "  position: relative;",
+        "",
+        "  flex: 1;",
+        "}",
+        ".b { top: 0; display: flex }",
+        "</style>",
+        "",
+      ),
+    );
+  });
+
+  it("fixes content order together with the properties and nested blocks in a single pass", () => {
+    const cases = [
+      {
+        code: vue("<style lang=\"scss\">", ".a { &:hover { color: red } display: flex; position: absolute; $x: 1 }", "</style>", ""),
+        options: { contentOrder: ["dollar-variables", "declarations", "rules"] },
+        output: vue("<style lang=\"scss\">", ".a { $x: 1; position: absolute; display: flex; &:hover { color: red } }", "</style>", ""),
+      },
+      {
+        code: vue(
+          "<style lang=\"scss\">",
+          ".a {",
+          "  &:hover {",
+          "    & .b {",
+          "        color: red;",
+          "      display: flex;",
+          "    }",
+          "    display: flex;",
+          "      position: absolute;",
+          "  }",
+          "  color: red;",
+          "}",
+          "</style>",
+          "",
+        ),
+        options: { contentOrder: ["declarations", "rules"] },
+        output: vue(
+          "<style lang=\"scss\">",
+          ".a {",
+          "  color: red;",
+          "  &:hover {",
+          "    position: absolute;",
+          "    display: flex;",
+          "    & .b {",
+          "      display: flex;",
+          "      color: red;",
+          "    }",
+          "  }",
+          "}",
+          "</style>",
+          "",
+        ),
+      },
+      {
+        code: vue("<style lang=\"less\">", ".a {", "  color: red;", "  .mixin();", "  display: flex;", "  @c: blue;", "  position: absolute;", "}", "</style>", ""),
+        options: { contentOrder: ["at-variables", "less-mixins", "declarations"] },
+        output: vue("<style lang=\"less\">", ".a {", "  @c: blue;", "  .mixin();", "  position: absolute;", "  display: flex;", "  color: red;", "}", "</style>", ""),
+      },
+      {
+        code: vue("<style lang=\"scss\">", ".a {", "  color: red;", "  display: flex;", "", "", "  position: relative;", "  @include m;", "}", "</style>", ""),
+        options: { contentOrder: ["at-include", "declarations"] },
+        output: vue("<style lang=\"scss\">", ".a {", "  @include m;", "  position: relative;", "  display: flex;", "  color: red;", "}", "</style>", ""),
+      },
+    ];
+    cases.forEach(({ code: source, options, output }) => {
+      const caseConfig = [{ ...config[0], rules: { "css-order/css-order": ["warn", options] } }];
+      const fixed = applyFixes(source, linter.verify(source, caseConfig, "test.vue"));
+      assert.strictEqual(fixed, output);
+      assert.deepStrictEqual(linter.verify(fixed, caseConfig, "test.vue"), []);
+    });
+  });
+});